@@ -1,11 +1,25 @@
 import { defineConfig } from 'astro/config';
 import sitemap from '@astrojs/sitemap';
 
+// Generated data and image files that shouldn't be listed in the sitemap
+const SITEMAP_EXCLUDE = [
+  '/search-index/',
+  '/map-data.json',
+  '/images/',
+  '/slideshow/',
+  '/feed.xml',
+  '/rss.xml',
+  '/feed.json',
+  '/oembed.json',
+  '/api/',
+  '/embed/',
+];
+
 export default defineConfig({
   site: 'https://shalini-prabha.netlify.app',
   integrations: [
     sitemap({
-      filter: (page) => !page.includes('/search-index.json'),
+      filter: (page) => !SITEMAP_EXCLUDE.some((path) => page.includes(path)),
     }),
   ],
 });
@@ -0,0 +1,81 @@
+/**
+ * Embeddable photo gallery. Add the script where the photos should appear:
+ *
+ *   <script src="https://shalini-prabha.netlify.app/embed.js"
+ *     data-category="birds" data-species="Great Blue Heron"
+ *     data-count="6" data-layout="strip" data-theme="dark" async></script>
+ *
+ * or mark any number of placeholders and include the script once:
+ *
+ *   <div data-gallery-embed data-category="birds" data-count="8"></div>
+ *   <script src="https://shalini-prabha.netlify.app/embed.js" async></script>
+ *
+ * Each widget is an iframe of /embed/<category>/, which reads the photos
+ * from the JSON API and grows to fit them. See "Embedding" in README.md for
+ * the attributes.
+ */
+(function () {
+  var script = document.currentScript;
+  if (!script) return;
+
+  var origin = new URL(script.src).origin;
+  // Must match EMBED_RESIZE_MESSAGE in src/utils/embed.ts
+  var RESIZE_MESSAGE = 'gallery-embed:resize';
+  var OPTIONS = ['species', 'count', 'layout', 'theme'];
+  var INITIAL_HEIGHTS = { grid: 400, strip: 220 };
+
+  var frames = [];
+
+  function createFrame(el) {
+    var category = el.getAttribute('data-category');
+    if (!category) {
+      console.error('Gallery embed: data-category is required', el);
+      return null;
+    }
+
+    var url = new URL('/embed/' + encodeURIComponent(category) + '/', origin);
+    OPTIONS.forEach(function (name) {
+      var value = el.getAttribute('data-' + name);
+      if (value) url.searchParams.set(name, value);
+    });
+
+    var iframe = document.createElement('iframe');
+    iframe.src = url.href;
+    iframe.title = el.getAttribute('data-title') || 'Photo gallery';
+    iframe.loading = 'lazy';
+    iframe.allow = 'fullscreen';
+    iframe.setAttribute('allowfullscreen', '');
+    iframe.style.display = 'block';
+    iframe.style.width = '100%';
+    iframe.style.border = '0';
+    iframe.style.height =
+      (INITIAL_HEIGHTS[el.getAttribute('data-layout')] || INITIAL_HEIGHTS.grid) + 'px';
+    frames.push(iframe);
+    return iframe;
+  }
+
+  // Placeholders marked with data-gallery-embed, plus the script tag itself
+  // when it carries the attributes
+  var placeholders = document.querySelectorAll('[data-gallery-embed]:not([data-gallery-embed-ready])');
+  Array.prototype.forEach.call(placeholders, function (el) {
+    el.setAttribute('data-gallery-embed-ready', '');
+    var iframe = createFrame(el);
+    if (iframe) el.appendChild(iframe);
+  });
+
+  if (script.hasAttribute('data-category')) {
+    var iframe = createFrame(script);
+    if (iframe) script.parentNode.insertBefore(iframe, script.nextSibling);
+  }
+
+  window.addEventListener('message', function (event) {
+    var data = event.data;
+    if (event.origin !== origin || !data || data.type !== RESIZE_MESSAGE) return;
+
+    frames.forEach(function (iframe) {
+      if (iframe.contentWindow === event.source && data.height > 0) {
+        iframe.style.height = Math.ceil(data.height) + 'px';
+      }
+    });
+  });
+})();
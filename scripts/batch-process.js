@@ -24,6 +24,10 @@ import { readFileSync, writeFileSync, existsSync, readdirSync, mkdirSync, copyFi
 import { join, dirname, basename, extname } from 'path';
 import { fileURLToPath } from 'url';
 import yaml from 'js-yaml';
+import { readExif } from './exif.js';
+import { createPlaceholder } from './placeholder.js';
+import { normalizeSpecies } from './taxonomy.js';
+import { getLocalImageId } from './images.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -374,6 +378,9 @@ function getAllPhotos(specificFolder = null) {
   return photos;
 }
 
+/**
+ * Fallback date from the folder name, used when the photo has no EXIF date
+ */
 function parseDate(folder) {
   // folder format: YYYYMM
   const year = folder.substring(0, 4);
@@ -419,8 +426,10 @@ async function processPhoto(photo) {
     cloudinaryId = await uploadToCloudinary(finalDestPath, result.category, finalSlug);
   }
 
-  // Get image dimensions
+  // Get image dimensions, capture details and loading placeholder
   const dimensions = await getImageDimensions(finalDestPath);
+  const exif = await readExif(photo.fullPath);
+  const placeholder = await createPlaceholder(finalDestPath);
 
   return {
     photo,
@@ -439,7 +448,9 @@ async function processPhoto(photo) {
     filename: finalFilename,
     destPath: finalDestPath,
     cloudinaryId,
-    dimensions
+    dimensions,
+    exif,
+    placeholder
   };
 }
 
@@ -543,7 +554,7 @@ Respond ONLY with valid JSON:
   return {
     category: validCategories.includes(parsed.category) ? parsed.category : 'flora-macro',
     filter: parsed.category === 'landscapes' && validFilters.includes(parsed.filter) ? parsed.filter : null,
-    species: parsed.species || null,
+    species: normalizeSpecies(parsed.species),
     location: parsed.location || null,
     title: parsed.title?.trim() || 'Untitled',
     description: parsed.description?.trim() || '',
@@ -641,7 +652,7 @@ Respond ONLY with JSON:
   return {
     category: validCategories.includes(parsed.category) ? parsed.category : 'flora-macro',
     filter: parsed.category === 'landscapes' && validFilters.includes(parsed.filter) ? parsed.filter : null,
-    species: parsed.species || null,
+    species: normalizeSpecies(parsed.species),
     location: parsed.location || null,
     usage
   };
@@ -826,6 +837,9 @@ async function updatePhotosYaml(results) {
     'flora-macro': 'flora'
   };
 
+  // Publication date for the feeds
+  const today = new Date().toISOString().slice(0, 10);
+
   const newPhotos = results.map(r => {
     const category = r.classification.category;
     if (!categoryCounters[category]) categoryCounters[category] = 0;
@@ -841,17 +855,22 @@ async function updatePhotosYaml(results) {
       filters: r.classification.filter ? [r.classification.filter] : [],
       title: r.caption.title,
       description: r.caption.description,
-      date_taken: r.photo.date,
+      date_taken: r.exif.taken_at ? r.exif.taken_at.split('T')[0] : r.photo.date,
+      // Without EXIF the folder's month (as its 1st) stands in for the date
+      ...(r.exif.taken_at ? {} : { date_unknown: true }),
+      date_added: today,
       available_for_print: true
     };
 
     if (r.classification.species) entry.species = r.classification.species;
     if (r.classification.location) entry.location = r.classification.location;
-    if (r.cloudinaryId) entry.cloudinary_id = r.cloudinaryId;
+    // Without a Cloudinary upload, the image is served by the local provider
+    entry.cloudinary_id = r.cloudinaryId || getLocalImageId(category, r.slug);
     if (r.dimensions) {
       entry.width = r.dimensions.width;
       entry.height = r.dimensions.height;
     }
+    Object.assign(entry, r.exif, r.placeholder);
 
     return entry;
   });
@@ -17,6 +17,7 @@
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { normalizeSpecies } from './taxonomy.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -191,7 +192,7 @@ function parseClassificationResponse(response) {
   return {
     category,
     filter,
-    species: parsed.species || null,
+    species: normalizeSpecies(parsed.species),
     location: parsed.location || null
   };
 }
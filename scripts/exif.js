@@ -0,0 +1,114 @@
+/**
+ * exif.js
+ *
+ * Reads capture details from an image's EXIF data for the import scripts.
+ * Returns the optional photo fields understood by config/photos.yaml
+ * (taken_at, camera, lens, focal_length, aperture, shutter_speed, iso,
+ * lat, lng), leaving out anything the file doesn't record.
+ */
+
+import exifr from 'exifr';
+
+const EXIF_TAGS = [
+  'Make',
+  'Model',
+  'LensModel',
+  'FocalLength',
+  'FNumber',
+  'ExposureTime',
+  'ISO',
+  'DateTimeOriginal',
+  'CreateDate',
+];
+
+/**
+ * Read EXIF capture details; resolves to {} when the image has none
+ */
+export async function readExif(imagePath) {
+  let tags = null;
+  let gps = null;
+  try {
+    // Keep dates as the camera's local "YYYY:MM:DD HH:MM:SS" strings rather
+    // than Date objects shifted into the importing machine's time zone
+    tags = await exifr.parse(imagePath, { pick: EXIF_TAGS, reviveValues: false });
+    gps = await exifr.gps(imagePath);
+  } catch (e) {
+    // Unsupported format or corrupt metadata: treat as no EXIF
+  }
+
+  const exif = {
+    taken_at: parseExifDate(tags?.DateTimeOriginal || tags?.CreateDate),
+    camera: formatCamera(tags?.Make, tags?.Model),
+    lens: cleanText(tags?.LensModel),
+    focal_length: positiveNumber(tags?.FocalLength),
+    aperture: positiveNumber(tags?.FNumber),
+    shutter_speed: formatShutterSpeed(tags?.ExposureTime),
+    iso: positiveNumber(Array.isArray(tags?.ISO) ? tags.ISO[0] : tags?.ISO),
+    ...parseGps(gps),
+  };
+
+  Object.keys(exif).forEach(key => {
+    if (exif[key] === undefined) {
+      delete exif[key];
+    }
+  });
+
+  return exif;
+}
+
+function cleanText(value) {
+  if (typeof value !== 'string') return undefined;
+  const text = value.replace(/\0/g, '').trim();
+  return text || undefined;
+}
+
+function positiveNumber(value) {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? Math.round(num * 10) / 10 : undefined;
+}
+
+/**
+ * "2024:06:22 07:41:03" -> "2024-06-22T07:41:03"
+ */
+function parseExifDate(value) {
+  const match = typeof value === 'string'
+    && value.match(/^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match || match[1] === '0000') return undefined;
+  const [, year, month, day, hour, minute, second] = match;
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+}
+
+/**
+ * Join make and model, without repeating the brand ("Canon Canon EOS R5")
+ */
+function formatCamera(make, model) {
+  const cleanMake = cleanText(make);
+  const cleanModel = cleanText(model);
+  if (!cleanModel) return cleanMake;
+  if (!cleanMake) return cleanModel;
+
+  const brand = cleanMake.split(/\s+/)[0].toLowerCase();
+  return cleanModel.toLowerCase().startsWith(brand) ? cleanModel : `${cleanMake} ${cleanModel}`;
+}
+
+/**
+ * Exposure time in seconds -> "1/500" or "2.5"
+ */
+function formatShutterSpeed(seconds) {
+  const value = Number(seconds);
+  if (!Number.isFinite(value) || value <= 0) return undefined;
+  if (value >= 0.3) return String(Math.round(value * 10) / 10);
+  return `1/${Math.round(1 / value)}`;
+}
+
+function parseGps(gps) {
+  const lat = Number(gps?.latitude);
+  const lng = Number(gps?.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || (lat === 0 && lng === 0)) {
+    return {};
+  }
+  return {
+    lat: Math.round(lat * 1e6) / 1e6,
+    lng: Math.round(lng * 1e6) / 1e6,
+  };
+}
@@ -0,0 +1,36 @@
+/**
+ * images.js
+ *
+ * Image ids for imported photos that weren't uploaded to Cloudinary: the id
+ * the local provider serves from public/photos/<category>/<slug>.<ext>, with
+ * `images.id_prefix` from config/site.yaml in front. Used by the import
+ * scripts so offline imports still pass config validation.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { imagesSchema } from '../src/utils/config-schema.js';
+
+const SITE_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', 'config', 'site.yaml');
+
+let idPrefix = null;
+
+// Falls back to the default prefix when site.yaml is missing or invalid;
+// `manage-photos.js validate` reports the errors
+function getIdPrefix() {
+  if (idPrefix === null) {
+    const raw = existsSync(SITE_PATH) ? yaml.load(readFileSync(SITE_PATH, 'utf8')) : null;
+    const result = imagesSchema.safeParse(raw?.images);
+    idPrefix = result.success ? result.data.id_prefix : imagesSchema.parse(undefined).id_prefix;
+  }
+  return idPrefix;
+}
+
+/**
+ * Get the local provider's id for a photo, e.g. "photo-gallery/birds/heron"
+ */
+export function getLocalImageId(category, slug) {
+  return `${getIdPrefix()}${category}/${slug}`;
+}
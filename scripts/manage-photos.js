@@ -3,9 +3,17 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import yaml from 'js-yaml';
+import sharp from 'sharp';
+import { validateConfig, formatConfigIssues } from '../src/utils/config-schema.js';
+import { createPlaceholder } from './placeholder.js';
+import { findTaxon, normalizeSpecies } from './taxonomy.js';
 
 const PHOTOS_PATH = path.join(process.cwd(), 'config', 'photos.yaml');
 const CATEGORIES_PATH = path.join(process.cwd(), 'config', 'categories.yaml');
+const SITE_PATH = path.join(process.cwd(), 'config', 'site.yaml');
+const LOCATIONS_PATH = path.join(process.cwd(), 'config', 'locations.yaml');
+const TAXONOMY_PATH = path.join(process.cwd(), 'config', 'taxonomy.yaml');
+const PUBLIC_PHOTOS_DIR = path.join(process.cwd(), 'public', 'photos');
 
 function usage() {
   console.log(`
@@ -14,19 +22,32 @@ Manage photos in config/photos.yaml
 Usage:
   node scripts/manage-photos.js remove <cloudinary-id-or-url> [more...]
   node scripts/manage-photos.js add --category <slug> --title <title> --cloudinary-id <id-or-url> [options]
+  node scripts/manage-photos.js validate
+  node scripts/manage-photos.js placeholders [--force] [--dry-run]
+  node scripts/manage-photos.js normalize-species [--dry-run]
 
 Add options:
   --slug <slug>                 Custom slug (defaults to slugified title)
   --description <text>          Description (defaults to empty)
   --filters <a,b,c>             Comma-separated filters
-  --species <text>              Species (optional)
+  --species <text>              Species (optional, matched against taxonomy.yaml)
   --location <text>             Location (optional)
-  --date <YYYY-MM-DD>           Date taken (defaults to today)
+  --date <YYYY-MM-DD>           Date taken (defaults to today, marked as unknown)
   --available-for-print <bool>  true|false (defaults to true)
   --width <number>              Image width (optional)
   --height <number>             Image height (optional)
   --filename <name>             Filename (defaults to "<slug>.jpg")
   --dry-run                     Show changes without writing
+
+Placeholders options:
+  --force                       Recompute placeholders that already exist
+  --dry-run                     Show counts without writing
+
+The placeholders command reads public/photos/<category>/<filename> and fills
+in the blurred placeholder, dominant color and any missing width/height.
+
+The normalize-species command renames each photo's species to the common name
+of its entry in config/taxonomy.yaml (e.g. "Stellar Jay" -> "Steller's Jay").
 `);
 }
 
@@ -242,11 +263,13 @@ function addPhoto(flags) {
     slug,
     category,
     filters,
-    species: flags.species || null,
+    species: normalizeSpecies(flags.species),
     location: flags.location || null,
     title,
     description: flags.description || '',
     date_taken: date,
+    ...(flags.date ? {} : { date_unknown: true }),
+    date_added: new Date().toISOString().slice(0, 10),
     available_for_print: available,
     cloudinary_id: cloudinaryId,
     ...(flags.width ? { width: Number(flags.width) } : {}),
@@ -269,6 +292,105 @@ function addPhoto(flags) {
   console.log('config/photos.yaml updated.');
 }
 
+function validate() {
+  const result = validateConfig({
+    site: loadYaml(SITE_PATH),
+    categories: loadYaml(CATEGORIES_PATH),
+    photos: loadYaml(PHOTOS_PATH),
+    locations: fs.existsSync(LOCATIONS_PATH) ? loadYaml(LOCATIONS_PATH) : undefined,
+    taxonomy: fs.existsSync(TAXONOMY_PATH) ? loadYaml(TAXONOMY_PATH) : undefined
+  });
+
+  if (result.issues.length > 0) {
+    console.error(`Found ${result.issues.length} problem(s):`);
+    console.error(formatConfigIssues(result.issues));
+    process.exit(1);
+  }
+
+  console.log(`Config OK: ${result.categories.length} categories, ${result.photos.length} photos.`);
+
+  // Not errors: unknown species are allowed, they just have no taxonomy
+  const species = [...new Set(result.photos.map((photo) => photo.species).filter(Boolean))];
+  const unknown = species.filter((name) => !findTaxon(name)).sort();
+  const renamed = species.filter((name) => findTaxon(name) && findTaxon(name).name !== name);
+  if (unknown.length > 0) {
+    console.log(`${unknown.length} species not in config/taxonomy.yaml: ${unknown.join(', ')}`);
+  }
+  if (renamed.length > 0) {
+    console.log(`${renamed.length} species not under their taxonomy name; run normalize-species to rename them.`);
+  }
+}
+
+function normalizeAllSpecies({ dryRun }) {
+  const data = loadYaml(PHOTOS_PATH);
+  const photos = data?.photos || [];
+  const changes = new Map();
+
+  for (const photo of photos) {
+    if (!photo.species) continue;
+    const name = normalizeSpecies(photo.species);
+    if (name === photo.species) continue;
+
+    const change = `"${photo.species}" -> "${name}"`;
+    changes.set(change, (changes.get(change) || 0) + 1);
+    photo.species = name;
+  }
+
+  for (const [change, count] of changes) {
+    console.log(`  ${change}${count > 1 ? ` (${count} photos)` : ''}`);
+  }
+  const total = [...changes.values()].reduce((sum, count) => sum + count, 0);
+
+  if (dryRun) {
+    console.log(`Dry run enabled. Would rename the species of ${total} photo(s).`);
+    return;
+  }
+
+  if (total > 0) {
+    savePhotos(photos);
+  }
+  console.log(`Renamed the species of ${total} photo(s) in config/photos.yaml.`);
+}
+
+async function backfillPlaceholders({ force, dryRun }) {
+  const data = loadYaml(PHOTOS_PATH);
+  const photos = data?.photos || [];
+  const todo = photos.filter((photo) => force || !photo.placeholder || !photo.width || !photo.height);
+  const fileFor = (photo) => path.join(PUBLIC_PHOTOS_DIR, photo.category || '', photo.filename || '');
+  const missing = todo.filter((photo) => !photo.filename || !fs.existsSync(fileFor(photo)));
+  const ready = todo.filter((photo) => !missing.includes(photo));
+
+  console.log(`${todo.length} of ${photos.length} photos need placeholders or dimensions.`);
+  if (missing.length > 0) {
+    console.log(`Skipping ${missing.length} photo(s) with no local file: ${missing.map((p) => p.id).join(', ')}`);
+  }
+
+  if (dryRun) {
+    console.log(`Dry run enabled. Would update ${ready.length} photo(s).`);
+    return;
+  }
+
+  for (const [index, photo] of ready.entries()) {
+    const file = fileFor(photo);
+    if (force || !photo.placeholder) {
+      Object.assign(photo, await createPlaceholder(file));
+    }
+    if (!photo.width || !photo.height) {
+      const { width, height } = await sharp(file).metadata();
+      if (width && height) Object.assign(photo, { width, height });
+    }
+
+    if ((index + 1) % 100 === 0) {
+      console.log(`  ${index + 1}/${ready.length}`);
+    }
+  }
+
+  if (ready.length > 0) {
+    savePhotos(photos);
+  }
+  console.log(`Updated ${ready.length} photo(s) in config/photos.yaml.`);
+}
+
 function main() {
   const args = process.argv.slice(2);
   if (args.length === 0) {
@@ -291,6 +413,26 @@ function main() {
     return;
   }
 
+  if (command === 'validate') {
+    validate();
+    return;
+  }
+
+  if (command === 'normalize-species') {
+    const flags = parseFlags(rest);
+    normalizeAllSpecies({ dryRun: !!flags['dry-run'] });
+    return;
+  }
+
+  if (command === 'placeholders') {
+    const flags = parseFlags(rest);
+    backfillPlaceholders({ force: !!flags.force, dryRun: !!flags['dry-run'] }).catch((err) => {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    });
+    return;
+  }
+
   usage();
   process.exit(1);
 }
@@ -0,0 +1,40 @@
+/**
+ * placeholder.js
+ *
+ * Computes the low-quality placeholder shown while a photo loads: a tiny
+ * blurred WebP as a data URI (`placeholder`) and the image's dominant color
+ * as a hex string (`color`). Used by the import scripts and by
+ * `manage-photos.js placeholders` to backfill existing entries.
+ */
+
+import sharp from 'sharp';
+
+// Longest side of the placeholder image; stretching it to the card size blurs it
+const PLACEHOLDER_SIZE = 16;
+
+/**
+ * Create the placeholder fields for an image file; resolves to {} when the
+ * image can't be read
+ */
+export async function createPlaceholder(imagePath) {
+  try {
+    // Work from a small copy; stats on the full-size original is slow
+    const small = await sharp(imagePath)
+      .rotate()
+      .resize(64, 64, { fit: 'inside' })
+      .toBuffer();
+
+    const { dominant } = await sharp(small).stats();
+    const tiny = await sharp(small)
+      .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+      .webp({ quality: 40 })
+      .toBuffer();
+
+    return {
+      placeholder: `data:image/webp;base64,${tiny.toString('base64')}`,
+      color: `#${[dominant.r, dominant.g, dominant.b].map(c => c.toString(16).padStart(2, '0')).join('')}`
+    };
+  } catch (e) {
+    return {};
+  }
+}
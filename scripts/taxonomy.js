@@ -0,0 +1,49 @@
+/**
+ * taxonomy.js
+ *
+ * Maps a species name, usually the AI model's guess, onto its entry in
+ * config/taxonomy.yaml so every photo of a species uses the same common
+ * name. Used by the import scripts and `manage-photos.js normalize-species`.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { taxonSchema } from '../src/utils/config-schema.js';
+import { createTaxonIndex, matchTaxon } from '../src/utils/taxon-match.js';
+
+const TAXONOMY_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', 'config', 'taxonomy.yaml');
+
+let taxonIndex = null;
+
+// Entries that fail validation are skipped here; `manage-photos.js validate`
+// reports them
+function getTaxonIndex() {
+  if (!taxonIndex) {
+    const raw = existsSync(TAXONOMY_PATH) ? yaml.load(readFileSync(TAXONOMY_PATH, 'utf8')) : null;
+    const taxa = (raw?.species || [])
+      .map((entry) => taxonSchema.safeParse(entry))
+      .filter((result) => result.success)
+      .map((result) => result.data);
+    taxonIndex = createTaxonIndex(taxa);
+  }
+  return taxonIndex;
+}
+
+/**
+ * Find the taxonomy entry for a species name, or null
+ */
+export function findTaxon(species) {
+  return matchTaxon(species?.trim(), getTaxonIndex());
+}
+
+/**
+ * Normalize a species name: the common name of its taxonomy entry, or the
+ * name itself (tidied up) when it has none. Empty values become null.
+ */
+export function normalizeSpecies(species) {
+  const text = species?.trim().replace(/\s+/g, ' ');
+  if (!text) return null;
+  return findTaxon(text)?.name ?? text;
+}
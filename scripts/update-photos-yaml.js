@@ -7,7 +7,9 @@
  * - Generates unique IDs and slugs
  * - Moves photos from pending to category folders
  * - Preserves manual overrides in existing entries
- * - Uploads to Cloudinary if configured
+ * - Reads capture date, camera, exposure and GPS from EXIF
+ * - Computes a blurred placeholder and dominant color
+ * - Uploads to Cloudinary if configured, else uses the local image id
  *
  * Usage: node scripts/update-photos-yaml.js
  *
@@ -21,6 +23,10 @@ import { readFileSync, writeFileSync, existsSync, renameSync, mkdirSync, unlinkS
 import { join, dirname, basename, extname } from 'path';
 import { fileURLToPath } from 'url';
 import yaml from 'js-yaml';
+import { readExif } from './exif.js';
+import { createPlaceholder } from './placeholder.js';
+import { normalizeSpecies } from './taxonomy.js';
+import { getLocalImageId } from './images.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -59,6 +65,9 @@ async function main() {
     }
   }
 
+  // Publication date for the feeds
+  const today = new Date().toISOString().slice(0, 10);
+
   // Check if Cloudinary is configured
   const hasCloudinary = !!(
     process.env.CLOUDINARY_CLOUD_NAME &&
@@ -131,8 +140,10 @@ async function main() {
       console.log(`  -> Moved to: ${classification.category}/${newFilename}`);
     }
 
-    // Get image dimensions
+    // Get image dimensions, capture details and loading placeholder
     const dimensions = await getImageDimensions(destPath);
+    const exif = await readExif(destPath);
+    const placeholder = await createPlaceholder(destPath);
 
     // Upload to Cloudinary if configured
     let cloudinaryId = null;
@@ -152,7 +163,9 @@ async function main() {
     }
 
     // Create photo entry
-    const dateTaken = resolveDateTaken(instagramDate, instagramTimestamp);
+    const dateTaken = exif.taken_at
+      ? exif.taken_at.split('T')[0]
+      : resolveDateTaken(instagramDate, instagramTimestamp);
     const location = instagramLocation || classification.location || undefined;
 
     const photoEntry = {
@@ -161,15 +174,20 @@ async function main() {
       slug: uniqueSlug,
       category: classification.category,
       filters: classification.filter ? [classification.filter] : [],
-      species: classification.species || undefined,
+      species: normalizeSpecies(classification.species) || undefined,
       location,
       title: caption.title,
       description: caption.description,
       instagram_caption: instagramCaption || undefined,
-      date_taken: dateTaken,
+      // Without EXIF or Instagram data the import day stands in for the date
+      date_taken: dateTaken || today,
+      date_unknown: dateTaken ? undefined : true,
+      date_added: today,
       available_for_print: true,
-      ...(cloudinaryId && { cloudinary_id: cloudinaryId }),
-      ...(dimensions && { width: dimensions.width, height: dimensions.height })
+      cloudinary_id: cloudinaryId || getLocalImageId(classification.category, uniqueSlug),
+      ...(dimensions && { width: dimensions.width, height: dimensions.height }),
+      ...exif,
+      ...placeholder
     };
 
     // Remove undefined values
@@ -289,7 +307,7 @@ function resolveDateTaken(instagramDate, instagramTimestamp) {
     }
   }
 
-  return new Date().toISOString().split('T')[0];
+  return null;
 }
 
 function cleanup() {
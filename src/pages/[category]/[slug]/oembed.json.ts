@@ -0,0 +1,7 @@
+import type { APIRoute } from 'astro';
+import { createOEmbedResponse, getOEmbedPaths } from '../../../utils/oembed';
+import type { Photo } from '../../../types';
+
+export const getStaticPaths = getOEmbedPaths;
+
+export const GET: APIRoute = ({ props, site }) => createOEmbedResponse(props.photo as Photo, site);
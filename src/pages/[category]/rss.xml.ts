@@ -0,0 +1,8 @@
+import type { APIRoute } from 'astro';
+import { createFeedResponse, getCategoryFeed, getCategoryFeedPaths } from '../../utils/feeds';
+import type { Category } from '../../types';
+
+export const getStaticPaths = getCategoryFeedPaths;
+
+export const GET: APIRoute = ({ props, site }) =>
+  createFeedResponse(getCategoryFeed(props.category as Category), 'rss', site);
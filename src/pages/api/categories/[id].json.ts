@@ -0,0 +1,8 @@
+import type { APIRoute } from 'astro';
+import { createApiResponse, getApiCategoryPaths, toApiCategory } from '../../../utils/api';
+import type { Category } from '../../../types';
+
+export const getStaticPaths = getApiCategoryPaths;
+
+export const GET: APIRoute = ({ props, site }) =>
+  createApiResponse(site, (base) => toApiCategory(props.category as Category, base));
@@ -0,0 +1,6 @@
+import type { APIRoute } from 'astro';
+import { createApiResponse, toApiPhotoSummary } from '../../utils/api';
+import { getPhotos } from '../../utils/config';
+
+export const GET: APIRoute = ({ site }) =>
+  createApiResponse(site, (base) => getPhotos().map((photo) => toApiPhotoSummary(photo, base)));
@@ -0,0 +1,8 @@
+import type { APIRoute } from 'astro';
+import { createApiResponse, getApiPhotoPaths, toApiPhoto } from '../../../utils/api';
+import type { Photo } from '../../../types';
+
+export const getStaticPaths = getApiPhotoPaths;
+
+export const GET: APIRoute = ({ props, site }) =>
+  createApiResponse(site, (base) => toApiPhoto(props.photo as Photo, base));
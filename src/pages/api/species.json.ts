@@ -0,0 +1,6 @@
+import type { APIRoute } from 'astro';
+import { createApiResponse, toApiSpecies } from '../../utils/api';
+import { getAllSpecies } from '../../utils/species';
+
+export const GET: APIRoute = ({ site }) =>
+  createApiResponse(site, (base) => getAllSpecies().map((species) => toApiSpecies(species, base)));
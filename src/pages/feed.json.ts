@@ -0,0 +1,4 @@
+import type { APIRoute } from 'astro';
+import { createFeedResponse, getSiteFeed } from '../utils/feeds';
+
+export const GET: APIRoute = ({ site }) => createFeedResponse(getSiteFeed(), 'json', site);
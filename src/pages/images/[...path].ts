@@ -0,0 +1,96 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import type { APIRoute, GetStaticPaths } from 'astro';
+import sharp from 'sharp';
+import { getImageConfig, getPhotos, getSiteConfig } from '../../utils/config';
+import { getLocalImageName } from '../../utils/images';
+import type { LocalImageFormat } from '../../types';
+
+// Resized variants for the "local" image provider, generated with sharp from
+// the originals in public/photos/. With the cloudinary provider nothing is built.
+
+const PHOTOS_DIR = path.join(process.cwd(), 'public', 'photos');
+// Generated variants are kept between builds and reused until the original changes
+const CACHE_DIR = path.join(process.cwd(), 'node_modules', '.cache', 'gallery-images');
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+const CONTENT_TYPES: Record<LocalImageFormat, string> = {
+  webp: 'image/webp',
+  avif: 'image/avif',
+};
+
+interface Props {
+  source: string;
+  name: string;
+  width: number;
+  format: LocalImageFormat;
+  quality: number;
+}
+
+/**
+ * Find the original for an image name like "birds/heron"
+ */
+function findSource(name: string): string | null {
+  for (const ext of SOURCE_EXTENSIONS) {
+    const file = path.join(PHOTOS_DIR, `${name}${ext}`);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+export const getStaticPaths = (() => {
+  const config = getImageConfig();
+  if (config.provider !== 'local') return [];
+
+  const { hero, images } = getSiteConfig();
+  const ids = new Set([hero.image, ...getPhotos().map((photo) => photo.cloudinary_id)]);
+
+  return [...ids].flatMap((id) => {
+    const name = getLocalImageName(config, id);
+    const source = findSource(name);
+    if (!source) {
+      console.warn(`[images] No original for "${id}" in public/photos/${name}.*`);
+      return [];
+    }
+
+    return config.widths.flatMap((width) =>
+      config.formats.map((format) => ({
+        params: { path: `${name}-${width}.${format}` },
+        props: { source, name, width, format, quality: images.quality },
+      }))
+    );
+  });
+}) satisfies GetStaticPaths;
+
+/**
+ * Resize and encode one variant, reusing the cached file when it is newer
+ * than the original
+ */
+async function renderVariant({ source, name, width, format, quality }: Props): Promise<Buffer> {
+  const cacheFile = path.join(CACHE_DIR, `${name}-${width}-q${quality}.${format}`);
+  const cached = fs.statSync(cacheFile, { throwIfNoEntry: false });
+  if (cached && cached.mtimeMs >= fs.statSync(source).mtimeMs) {
+    return fs.promises.readFile(cacheFile);
+  }
+
+  const buffer = await sharp(source)
+    .rotate()
+    .resize({ width, withoutEnlargement: true })
+    .toFormat(format, { quality })
+    .toBuffer();
+
+  await fs.promises.mkdir(path.dirname(cacheFile), { recursive: true });
+  await fs.promises.writeFile(cacheFile, buffer);
+  return buffer;
+}
+
+export const GET: APIRoute = async ({ props }) => {
+  const variant = props as Props;
+  const buffer = await renderVariant(variant);
+
+  return new Response(new Uint8Array(buffer), {
+    headers: {
+      'Content-Type': CONTENT_TYPES[variant.format],
+    },
+  });
+};
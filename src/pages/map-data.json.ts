@@ -0,0 +1,34 @@
+import type { APIRoute } from 'astro';
+import { getImageUrl, getPhotoPath, getPhotos } from '../utils/config';
+import { getPhotoCoordinates } from '../utils/locations';
+
+export const GET: APIRoute = async () => {
+  // Only photos that can be placed on the map, either from their own GPS
+  // position or from the approximate position of their location
+  const markers = getPhotos().flatMap((photo) => {
+    const coordinates = getPhotoCoordinates(photo);
+    if (!coordinates) return [];
+
+    return [{
+      id: photo.id,
+      title: photo.title,
+      species: photo.species || '',
+      location: photo.location || '',
+      href: getPhotoPath(photo),
+      thumbnail: getImageUrl(photo.cloudinary_id, {
+        width: 240,
+        height: 160,
+        quality: 'auto',
+        format: 'auto',
+        crop: 'fill',
+      }),
+      ...coordinates,
+    }];
+  });
+
+  return new Response(JSON.stringify(markers), {
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+};
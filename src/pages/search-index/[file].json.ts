@@ -0,0 +1,11 @@
+import type { APIRoute } from 'astro';
+import { getSearchIndexPaths } from '../../utils/search-index';
+
+export const getStaticPaths = getSearchIndexPaths;
+
+export const GET: APIRoute = ({ props }) =>
+  new Response(props.body as string, {
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
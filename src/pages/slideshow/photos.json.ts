@@ -0,0 +1,27 @@
+import type { APIRoute } from 'astro';
+import { getCategories, getPhotoPath, getPhotosByCategory } from '../../utils/config';
+
+// Photos for the kiosk slideshow, in each category's own order. The page
+// filters them by ?category= and builds image URLs in the browser.
+export const GET: APIRoute = async () => {
+  const photos = getCategories().flatMap((category) =>
+    getPhotosByCategory(category.id).map((photo) => ({
+      slug: photo.slug,
+      category: category.slug,
+      title: photo.title,
+      species: photo.species || '',
+      location: photo.location || '',
+      cloudinary_id: photo.cloudinary_id,
+      width: photo.width,
+      height: photo.height,
+      color: photo.color,
+      href: getPhotoPath(photo),
+    }))
+  );
+
+  return new Response(JSON.stringify(photos), {
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+};
@@ -25,6 +25,34 @@ export interface ContactConfig {
   form_name: string;
 }
 
+export interface MapConfig {
+  // Leaflet tile URL template; empty draws markers on a blank background
+  tile_url: string;
+  attribution: string;
+  max_zoom: number;
+}
+
+// Where images are served from (see src/utils/images.ts)
+export type ImageProvider = 'cloudinary' | 'local';
+
+// Formats the local provider generates with sharp
+export type LocalImageFormat = 'webp' | 'avif';
+
+export interface ImagesConfig {
+  provider: ImageProvider;
+  // Part of each image id (cloudinary_id) that isn't in the path under public/photos/
+  id_prefix: string;
+  // Local provider only: widths and formats generated for every image
+  widths: number[];
+  formats: LocalImageFormat[];
+  quality: number;
+}
+
+export interface CloudinaryConfig {
+  cloud_name: string;
+  base_url: string;
+}
+
 export interface SiteConfig {
   site_name: string;
   tagline: string;
@@ -33,6 +61,10 @@ export interface SiteConfig {
   social: SocialLinks;
   analytics: AnalyticsConfig;
   contact: ContactConfig;
+  shuffle_seed?: string;
+  map: MapConfig;
+  images: ImagesConfig;
+  cloudinary?: CloudinaryConfig;
 }
 
 // Category types
@@ -42,6 +74,9 @@ export interface CategoryFilter {
   name: string;
 }
 
+// How a category orders its photos (gallery grid and prev/next links)
+export type CategorySort = 'date' | 'manual' | 'title' | 'shuffle';
+
 export interface Category {
   id: string;
   name: string;
@@ -49,6 +84,52 @@ export interface Category {
   description: string;
   cover_image: string;
   filters: CategoryFilter[];
+  sort: CategorySort;
+}
+
+// Location types (config/locations.yaml)
+
+export interface LocationPlace {
+  id: string;
+  name: string;
+  aliases: string[];
+  // Approximate position, used on the map for photos without GPS data
+  lat?: number;
+  lng?: number;
+}
+
+export interface LocationRegion extends LocationPlace {
+  places: LocationPlace[];
+}
+
+export interface LocationCountry extends LocationPlace {
+  regions: LocationRegion[];
+  places: LocationPlace[];
+}
+
+export type LocationLevel = 'country' | 'region' | 'place';
+
+// A node of the location hierarchy, flattened
+export interface Location {
+  id: string;
+  name: string;
+  level: LocationLevel;
+  aliases: string[];
+  parentId: string | null;
+  lat?: number;
+  lng?: number;
+}
+
+// Taxonomy types (config/taxonomy.yaml)
+
+export interface Taxon {
+  // Common name, used as the species name on photos
+  name: string;
+  scientific_name: string;
+  family: string;
+  order: string;
+  // Other common names, misspellings and older names that map to this species
+  aliases: string[];
 }
 
 // Photo types
@@ -61,11 +142,33 @@ export interface Photo {
   filters: string[];
   species: string | null;
   location: string | null;
+  // Links the photo to an entry in locations.yaml, overriding text matching
+  location_id?: string;
   title: string;
   description: string;
   instagram_caption?: string;
   date_taken: string;
+  // Set when date_taken is only a stand-in, e.g. the day it was imported
+  date_unknown?: boolean;
+  // When the photo was published on the site (YYYY-MM-DD); feeds order by it
+  date_added?: string;
   available_for_print: boolean;
+  // Position when the category uses `sort: manual` (lower comes first)
+  order?: number;
+  // GPS position where the photo was taken
+  lat?: number;
+  lng?: number;
+  // Capture details read from EXIF at import
+  taken_at?: string; // YYYY-MM-DDTHH:MM:SS, camera local time
+  camera?: string;
+  lens?: string;
+  focal_length?: number; // mm
+  aperture?: number; // f-number
+  shutter_speed?: string; // "1/500" or seconds
+  iso?: number;
+  // Shown while the image loads: tiny blurred image (data URI) and dominant color
+  placeholder?: string;
+  color?: string;
   // Cloudinary-specific fields
   cloudinary_id: string;
   width?: number;
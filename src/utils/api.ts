@@ -0,0 +1,222 @@
+import {
+  getCategories,
+  getFixedFormatImage,
+  getImageConfig,
+  getPhotoPath,
+  getPhotos,
+  getPhotosByCategory,
+} from './config';
+import { getLocalImageWidth } from './images';
+import { getPhotoLocation } from './locations';
+import { getPhotoSpeciesSlug } from './species';
+import type { Category, Photo } from '../types';
+import type { Species } from './species';
+
+// Read-only JSON API under /api/, documented in README.md ("JSON API").
+// Bump API_VERSION when a field is removed or changes meaning; adding
+// fields is not a breaking change.
+
+export const API_VERSION = 1;
+
+// Named widths offered for every image
+export const API_IMAGE_SIZES = {
+  thumbnail: 320,
+  small: 640,
+  medium: 1280,
+  large: 1920,
+} as const;
+
+export type ApiImageSize = keyof typeof API_IMAGE_SIZES;
+
+export interface ApiImage {
+  url: string;
+  // Size of the image served, which may be smaller than the size asked for
+  width: number;
+  // null when the original's dimensions aren't known
+  height: number | null;
+  type: string;
+}
+
+export interface ApiPhotoSummary {
+  id: string;
+  slug: string;
+  title: string;
+  category: string;
+  species: string | null;
+  species_slug: string | null;
+  location: string | null;
+  location_id: string | null;
+  date_taken: string;
+  date_added: string | null;
+  available_for_print: boolean;
+  // Original dimensions, when known
+  width: number | null;
+  height: number | null;
+  color: string | null;
+  url: string;
+  api_url: string;
+  images: Record<ApiImageSize, ApiImage>;
+}
+
+export interface ApiPhoto extends ApiPhotoSummary {
+  description: string;
+  filters: string[];
+  lat: number | null;
+  lng: number | null;
+  taken_at: string | null;
+  camera: string | null;
+  lens: string | null;
+  focal_length: number | null;
+  aperture: number | null;
+  shutter_speed: string | null;
+  iso: number | null;
+}
+
+export interface ApiCategory {
+  id: string;
+  slug: string;
+  name: string;
+  description: string;
+  filters: { id: string; name: string }[];
+  url: string;
+  api_url: string;
+  cover: Record<ApiImageSize, ApiImage> | null;
+  photo_count: number;
+  // In the category's own order
+  photos: ApiPhotoSummary[];
+}
+
+export interface ApiSpecies {
+  slug: string;
+  name: string;
+  // From taxonomy.yaml; null for species that aren't listed there
+  scientific_name: string | null;
+  family: string | null;
+  order: string | null;
+  url: string;
+  photo_count: number;
+  cover: Record<ApiImageSize, ApiImage>;
+  // Newest first
+  photo_ids: string[];
+}
+
+// Sizes are requested no wider than the original, and the local provider
+// serves the nearest generated width, so the width served can differ from
+// the nominal one (computed as in oembed.ts)
+function getImages(id: string, site: URL, photo?: Photo): Record<ApiImageSize, ApiImage> {
+  const config = getImageConfig();
+  const entries = Object.entries(API_IMAGE_SIZES).map(([size, width]) => {
+    const requested = photo?.width ? Math.min(width, photo.width) : width;
+    const image = getFixedFormatImage(id, requested);
+    const generated = config.provider === 'local' ? getLocalImageWidth(config, requested) : requested;
+    const served = photo?.width ? Math.min(generated, photo.width) : generated;
+    const height = photo?.width && photo.height ? Math.round((photo.height * served) / photo.width) : null;
+    return [size, { url: new URL(image.url, site).href, width: served, height, type: image.type }];
+  });
+  return Object.fromEntries(entries) as Record<ApiImageSize, ApiImage>;
+}
+
+export function toApiPhotoSummary(photo: Photo, site: URL): ApiPhotoSummary {
+  return {
+    id: photo.id,
+    slug: photo.slug,
+    title: photo.title,
+    category: photo.category,
+    species: photo.species,
+    species_slug: getPhotoSpeciesSlug(photo),
+    location: photo.location,
+    location_id: getPhotoLocation(photo)?.id ?? null,
+    date_taken: photo.date_taken,
+    date_added: photo.date_added ?? null,
+    available_for_print: photo.available_for_print,
+    width: photo.width ?? null,
+    height: photo.height ?? null,
+    color: photo.color ?? null,
+    url: new URL(getPhotoPath(photo), site).href,
+    api_url: new URL(`/api/photos/${photo.id}.json`, site).href,
+    images: getImages(photo.cloudinary_id, site, photo),
+  };
+}
+
+export function toApiPhoto(photo: Photo, site: URL): ApiPhoto {
+  return {
+    ...toApiPhotoSummary(photo, site),
+    description: photo.description,
+    filters: photo.filters,
+    lat: photo.lat ?? null,
+    lng: photo.lng ?? null,
+    taken_at: photo.taken_at ?? null,
+    camera: photo.camera ?? null,
+    lens: photo.lens ?? null,
+    focal_length: photo.focal_length ?? null,
+    aperture: photo.aperture ?? null,
+    shutter_speed: photo.shutter_speed ?? null,
+    iso: photo.iso ?? null,
+  };
+}
+
+export function toApiCategory(category: Category, site: URL): ApiCategory {
+  const photos = getPhotosByCategory(category.id);
+
+  return {
+    id: category.id,
+    slug: category.slug,
+    name: category.name,
+    description: category.description,
+    filters: category.filters.map(({ id, name }) => ({ id, name })),
+    url: new URL(`/${category.slug}/`, site).href,
+    api_url: new URL(`/api/categories/${category.id}.json`, site).href,
+    cover: category.cover_image
+      ? getImages(category.cover_image, site, getPhotos().find((photo) => photo.cloudinary_id === category.cover_image))
+      : null,
+    photo_count: photos.length,
+    photos: photos.map((photo) => toApiPhotoSummary(photo, site)),
+  };
+}
+
+export function toApiSpecies(species: Species, site: URL): ApiSpecies {
+  return {
+    slug: species.slug,
+    name: species.name,
+    scientific_name: species.taxon?.scientific_name ?? null,
+    family: species.taxon?.family ?? null,
+    order: species.taxon?.order ?? null,
+    url: new URL(`/species/${species.slug}/`, site).href,
+    photo_count: species.photos.length,
+    cover: getImages(species.cover.cloudinary_id, site, species.cover),
+    photo_ids: species.photos.map((photo) => photo.id),
+  };
+}
+
+/**
+ * Static paths for /api/photos/<id>.json
+ */
+export function getApiPhotoPaths() {
+  return getPhotos().map((photo) => ({ params: { id: photo.id }, props: { photo } }));
+}
+
+/**
+ * Static paths for /api/categories/<id>.json
+ */
+export function getApiCategoryPaths() {
+  return getCategories().map((category) => ({ params: { id: category.id }, props: { category } }));
+}
+
+/**
+ * Build the response for an API endpoint, wrapping its data in the
+ * versioned envelope: { version, data }
+ */
+export function createApiResponse(
+  site: URL | undefined,
+  getData: (site: URL) => unknown
+): Response {
+  if (!site) {
+    throw new Error('The JSON API needs absolute URLs: set `site` in astro.config.mjs');
+  }
+
+  return new Response(JSON.stringify({ version: API_VERSION, data: getData(site) }), {
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+}
@@ -0,0 +1,130 @@
+import { getPhotos } from './config';
+import type { Photo } from '../types';
+
+// Photos by when they were taken, for /archive/, /archive/<year>/ and
+// /archive/<year>/<month>/. Photos whose date is only a stand-in
+// (`date_unknown`) are kept apart at /archive/undated/.
+
+export const UNDATED = 'undated';
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+export interface ArchiveMonth {
+  year: string;
+  // Two digits, e.g. "05"
+  month: string;
+  // e.g. "May 2020"
+  name: string;
+  path: string;
+  // Newest first
+  photos: Photo[];
+}
+
+export interface ArchiveYear {
+  year: string;
+  path: string;
+  // Newest first, only months with photos
+  months: ArchiveMonth[];
+  count: number;
+}
+
+export interface Archive {
+  // Newest first
+  years: ArchiveYear[];
+  undated: Photo[];
+}
+
+function compareNewestFirst(a: Photo, b: Photo): number {
+  return (
+    b.date_taken.localeCompare(a.date_taken) ||
+    (b.taken_at ?? '').localeCompare(a.taken_at ?? '') ||
+    a.id.localeCompare(b.id)
+  );
+}
+
+/**
+ * Get the name of a month, e.g. "May" for "05"
+ */
+export function getMonthName(month: string): string {
+  return MONTH_NAMES[Number(month) - 1] ?? month;
+}
+
+/**
+ * Get the archive path of a year, month or the undated photos
+ */
+export function getArchivePath(year?: string, month?: string): string {
+  return ['/archive', year, month].filter(Boolean).join('/') + '/';
+}
+
+/**
+ * Group all photos by year and month
+ */
+export function getArchive(): Archive {
+  const months = new Map<string, ArchiveMonth>();
+  const undated: Photo[] = [];
+
+  for (const photo of [...getPhotos()].sort(compareNewestFirst)) {
+    if (photo.date_unknown) {
+      undated.push(photo);
+      continue;
+    }
+
+    const [year, month] = photo.date_taken.split('-');
+    const key = `${year}-${month}`;
+    const group = months.get(key) ?? {
+      year,
+      month,
+      name: `${getMonthName(month)} ${year}`,
+      path: getArchivePath(year, month),
+      photos: [],
+    };
+    group.photos.push(photo);
+    months.set(key, group);
+  }
+
+  const years = new Map<string, ArchiveYear>();
+  // Photos are newest first, so months and years are added newest first
+  for (const month of months.values()) {
+    const group = years.get(month.year) ?? {
+      year: month.year,
+      path: getArchivePath(month.year),
+      months: [],
+      count: 0,
+    };
+    group.months.push(month);
+    group.count += month.photos.length;
+    years.set(month.year, group);
+  }
+
+  return { years: [...years.values()], undated };
+}
+
+/**
+ * Static paths for /archive/<year>/, plus /archive/undated/ when there are
+ * undated photos
+ */
+export function getArchiveYearPaths() {
+  const archive = getArchive();
+  return [
+    ...archive.years.map((year) => ({ params: { year: year.year }, props: { archive, year } })),
+    ...(archive.undated.length > 0
+      ? [{ params: { year: UNDATED }, props: { archive, year: null } }]
+      : []),
+  ];
+}
+
+/**
+ * Static paths for /archive/<year>/<month>/
+ */
+export function getArchiveMonthPaths() {
+  const archive = getArchive();
+  return archive.years.flatMap((year) =>
+    year.months.map((month) => ({
+      params: { year: year.year, month: month.month },
+      props: { archive, year, month },
+    }))
+  );
+}
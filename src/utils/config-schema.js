@@ -0,0 +1,531 @@
+/**
+ * Schemas for the YAML files in config/.
+ *
+ * Plain JavaScript so the same checks run at build time (via config.ts)
+ * and from the command line (`node scripts/manage-photos.js validate`).
+ */
+
+import { z } from 'zod';
+import { normalizeTaxonName } from './taxon-match.js';
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}$/;
+
+// Top-level pages that a category slug must not shadow
+const RESERVED_SLUGS = ['about', 'contact', 'search', 'species', 'locations', 'map', 'images', 'slideshow', 'api', 'embed', 'life-list', 'archive'];
+
+const slug = z
+  .string()
+  .regex(SLUG_PATTERN, 'must be lowercase letters, numbers and single hyphens');
+
+const nonEmpty = z.string().trim().min(1, 'must not be empty');
+
+/**
+ * Accepts "YYYY-MM-DD" strings (or the Date objects js-yaml produces for
+ * unquoted dates) and normalizes them to "YYYY-MM-DD".
+ */
+const isoDate = z
+  .union([z.string(), z.date()])
+  .transform((value, ctx) => {
+    const text = value instanceof Date ? value.toISOString().slice(0, 10) : value.trim();
+    const match = text.match(DATE_PATTERN);
+    const date = match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : null;
+
+    if (!match || !date || date.toISOString().slice(0, 10) !== text) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `"${text}" is not a valid YYYY-MM-DD date`,
+      });
+      return z.NEVER;
+    }
+    return text;
+  });
+
+// Capture time from EXIF, in the camera's local time (no time zone)
+const localDateTime = z
+  .union([z.string(), z.date()])
+  .transform((value, ctx) => {
+    const text = value instanceof Date ? value.toISOString().slice(0, 19) : value.trim();
+    if (!DATETIME_PATTERN.test(text) || Number.isNaN(Date.parse(`${text}Z`))) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `"${text}" is not a valid YYYY-MM-DDTHH:MM:SS date and time`,
+      });
+      return z.NEVER;
+    }
+    return text;
+  });
+
+// Shutter speed as written by scripts/exif.js: "1/500" or seconds ("2.5")
+const shutterSpeed = z
+  .union([z.string(), z.number()])
+  .transform((value) => String(value).trim())
+  .refine((value) => /^(1\/\d+|\d+(\.\d+)?)$/.test(value), {
+    message: 'must look like "1/500" or a number of seconds',
+  });
+
+// Placeholder strings the import pipeline sometimes writes instead of null
+const EMPTY_TEXT = ['null', 'none', 'unknown', 'n/a'];
+
+const latitude = z.number().min(-90).max(90);
+const longitude = z.number().min(-180).max(180);
+
+/**
+ * Require lat and lng to be given together
+ */
+function requireBothCoordinates(value, ctx) {
+  if ((value.lat === undefined) !== (value.lng === undefined)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: [value.lat === undefined ? 'lat' : 'lng'],
+      message: 'lat and lng must be set together',
+    });
+  }
+}
+
+const optionalText = z
+  .string()
+  .nullish()
+  .transform((value) => {
+    const text = value?.trim();
+    return text && !EMPTY_TEXT.includes(text.toLowerCase()) ? text : null;
+  });
+
+// site.yaml
+
+// `images`, also read by the import scripts (scripts/images.js)
+export const imagesSchema = z
+  .object({
+    provider: z.enum(['cloudinary', 'local']).default('cloudinary'),
+    id_prefix: z.string().default('photo-gallery/'),
+    widths: z
+      .array(z.number().int().positive())
+      .nonempty()
+      .default([320, 640, 960, 1280, 1600, 1920]),
+    formats: z.array(z.enum(['webp', 'avif'])).nonempty().default(['webp', 'avif']),
+    quality: z.number().int().min(1).max(100).default(80),
+  })
+  .default({});
+
+export const siteConfigSchema = z
+  .object({
+    site_name: nonEmpty,
+    tagline: z.string().default(''),
+    hero: z.object({
+      image: nonEmpty,
+      alt: z.string().default(''),
+    }),
+    photo_wall: z.object({
+      mode: z.enum(['recent', 'random']),
+      count: z.number().int().positive(),
+    }),
+    social: z.record(z.string().url().or(z.literal(''))).default({}),
+    analytics: z
+      .object({
+        google_analytics_id: z.string().nullish().transform((value) => value || ''),
+      })
+      .default({ google_analytics_id: '' }),
+    contact: z.object({
+      form_name: nonEmpty,
+    }),
+    shuffle_seed: z.string().optional(),
+    map: z
+      .object({
+        // Leaflet URL template; leave empty to draw the map without tiles
+        tile_url: z.string().nullish().transform((value) => value || ''),
+        attribution: z.string().default(''),
+        max_zoom: z.number().int().positive().default(18),
+      })
+      .default({ tile_url: '', attribution: '', max_zoom: 18 }),
+    images: imagesSchema,
+    cloudinary: z
+      .object({
+        cloud_name: nonEmpty,
+        base_url: z.string().url(),
+      })
+      .optional(),
+  })
+  .superRefine((site, ctx) => {
+    if (site.images.provider === 'cloudinary' && !site.cloudinary) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['cloudinary'],
+        message: 'is required when images.provider is "cloudinary"',
+      });
+    }
+  });
+
+// categories.yaml
+
+export const categoryFilterSchema = z.object({
+  id: slug,
+  name: nonEmpty,
+});
+
+export const categorySchema = z.object({
+  id: slug,
+  name: nonEmpty,
+  slug: slug.refine((value) => !RESERVED_SLUGS.includes(value), {
+    message: `must not be one of the reserved page slugs (${RESERVED_SLUGS.join(', ')})`,
+  }),
+  description: z.string().default(''),
+  cover_image: nonEmpty,
+  filters: z.array(categoryFilterSchema).nullish().transform((value) => value || []),
+  sort: z.enum(['date', 'manual', 'title', 'shuffle']).default('date'),
+});
+
+// locations.yaml
+
+const locationFields = {
+  id: slug,
+  name: nonEmpty,
+  aliases: z.array(nonEmpty).nullish().transform((value) => value || []),
+  // Approximate position, used on the map for photos without their own
+  lat: latitude.optional(),
+  lng: longitude.optional(),
+};
+
+export const placeSchema = z.object(locationFields).superRefine(requireBothCoordinates);
+
+export const regionSchema = z
+  .object({
+    ...locationFields,
+    places: z.array(placeSchema).nullish().transform((value) => value || []),
+  })
+  .superRefine(requireBothCoordinates);
+
+export const countrySchema = z
+  .object({
+    ...locationFields,
+    regions: z.array(regionSchema).nullish().transform((value) => value || []),
+    places: z.array(placeSchema).nullish().transform((value) => value || []),
+  })
+  .superRefine(requireBothCoordinates);
+
+// taxonomy.yaml
+
+export const taxonSchema = z.object({
+  name: nonEmpty,
+  scientific_name: nonEmpty,
+  family: nonEmpty,
+  order: nonEmpty,
+  aliases: z.array(nonEmpty).nullish().transform((value) => value || []),
+});
+
+// photos.yaml
+
+export const photoSchema = z
+  .object({
+    id: nonEmpty,
+    filename: nonEmpty,
+    slug,
+    category: nonEmpty,
+    filters: z.array(z.string()).nullish().transform((value) => value || []),
+    species: optionalText,
+    location: optionalText,
+    location_id: slug.optional(),
+    title: nonEmpty,
+    description: z.string().nullish().transform((value) => value || ''),
+    instagram_caption: z.string().optional(),
+    date_taken: isoDate,
+    // date_taken is only a stand-in (e.g. the import day); the archive lists
+    // the photo as undated
+    date_unknown: z.boolean().optional(),
+    // When the photo was published on the site; feeds fall back to date_taken
+    date_added: isoDate.optional(),
+    available_for_print: z.boolean().default(true),
+    order: z.number().optional(),
+    cloudinary_id: nonEmpty,
+    width: z.number().int().positive().optional(),
+    height: z.number().int().positive().optional(),
+    lat: latitude.optional(),
+    lng: longitude.optional(),
+    // Capture details read from EXIF at import
+    taken_at: localDateTime.optional(),
+    camera: z.string().optional(),
+    lens: z.string().optional(),
+    focal_length: z.number().positive().optional(),
+    aperture: z.number().positive().optional(),
+    shutter_speed: shutterSpeed.optional(),
+    iso: z.number().int().positive().optional(),
+    // Shown while the image loads, computed at import
+    placeholder: z.string().startsWith('data:image/').optional(),
+    color: z
+      .string()
+      .regex(/^#[0-9a-f]{6}$/i, 'must be a hex color like "#7a6848"')
+      .optional(),
+  })
+  .superRefine(requireBothCoordinates);
+
+/**
+ * @typedef {object} ConfigIssue
+ * @property {string} file   Config file name, e.g. "photos.yaml"
+ * @property {string} [entry] Id of the offending entry, when there is one
+ * @property {string} [field] Dotted path to the offending field
+ * @property {string} message
+ */
+
+/**
+ * Thrown when one or more config files fail validation.
+ */
+export class ConfigValidationError extends Error {
+  /**
+   * @param {ConfigIssue[]} issues
+   */
+  constructor(issues) {
+    super(`Invalid configuration:\n${formatConfigIssues(issues)}`);
+    this.name = 'ConfigValidationError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Format issues as one readable line each
+ *
+ * @param {ConfigIssue[]} issues
+ * @returns {string}
+ */
+export function formatConfigIssues(issues) {
+  return issues
+    .map((issue) => {
+      const location = [issue.entry, issue.field].filter(Boolean).join(' > ');
+      return `  config/${issue.file}${location ? ` [${location}]` : ''}: ${issue.message}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Convert a zod error into issues attributed to `file` and `entry`
+ */
+function toIssues(error, file, entry) {
+  return error.issues.map((issue) => ({
+    file,
+    entry,
+    field: issue.path.length > 0 ? issue.path.join('.') : undefined,
+    message: issue.message,
+  }));
+}
+
+/**
+ * Validate a single-object config file
+ */
+function parseFile(schema, raw, file) {
+  const result = schema.safeParse(raw ?? {});
+  return result.success
+    ? { data: result.data, issues: [] }
+    : { data: null, issues: toIssues(result.error, file) };
+}
+
+/**
+ * Validate a config file holding a top-level list of entries with ids.
+ * Entries are checked one at a time so that a single bad entry doesn't hide
+ * problems elsewhere; the valid ones are returned for cross-file checks.
+ */
+function parseList(schema, raw, file, listKey, idKey = 'id') {
+  const list = raw?.[listKey];
+  if (!Array.isArray(list)) {
+    return {
+      data: null,
+      issues: [{ file, field: listKey, message: `expected a "${listKey}:" list` }],
+    };
+  }
+
+  const data = [];
+  const issues = [];
+
+  list.forEach((item, index) => {
+    const result = schema.safeParse(item);
+    if (result.success) {
+      data.push(result.data);
+    } else {
+      const entry = item?.[idKey] ? String(item[idKey]) : `#${index + 1}`;
+      issues.push(...toIssues(result.error, file, entry));
+    }
+  });
+
+  return { data, issues };
+}
+
+/**
+ * Report every value in `items` that appears more than once
+ */
+function findDuplicates(items, key, file, label) {
+  const seen = new Map();
+  const issues = [];
+
+  for (const item of items) {
+    const value = item[key];
+    if (seen.has(value)) {
+      issues.push({
+        file,
+        entry: item.id,
+        field: key,
+        message: key === 'id'
+          ? `duplicate ${label} "${value}"`
+          : `duplicate ${label} "${value}" (also used by ${seen.get(value)})`,
+      });
+    } else {
+      seen.set(value, item.id);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Report names, scientific names and aliases that more than one taxonomy
+ * entry answers to, since a species guess could only match one of them
+ */
+function findTaxonConflicts(taxa) {
+  const seen = new Map();
+  const issues = [];
+
+  for (const taxon of taxa) {
+    const keys = new Set(
+      [taxon.name, taxon.scientific_name, ...taxon.aliases].map(normalizeTaxonName).filter(Boolean)
+    );
+    for (const key of keys) {
+      const other = seen.get(key);
+      if (other) {
+        issues.push({
+          file: 'taxonomy.yaml',
+          entry: taxon.name,
+          message: `matches the same species names as "${other}"`,
+        });
+        break;
+      }
+    }
+    keys.forEach((key) => seen.set(key, taxon.name));
+  }
+
+  return issues;
+}
+
+/**
+ * Validate the parsed contents of site.yaml, categories.yaml, photos.yaml and
+ * the optional locations.yaml and taxonomy.yaml together, including the
+ * references between them.
+ *
+ * @param {{ site: unknown, categories: unknown, photos: unknown, locations?: unknown, taxonomy?: unknown }} raw
+ */
+export function validateConfig(raw) {
+  const site = parseFile(siteConfigSchema, raw.site, 'site.yaml');
+  const categories = parseList(categorySchema, raw.categories, 'categories.yaml', 'categories');
+  const photos = parseList(photoSchema, raw.photos, 'photos.yaml', 'photos');
+  const locations = raw.locations === undefined
+    ? { data: [], issues: [] }
+    : parseList(countrySchema, raw.locations, 'locations.yaml', 'countries');
+  const taxonomy = raw.taxonomy === undefined
+    ? { data: [], issues: [] }
+    : parseList(taxonSchema, raw.taxonomy, 'taxonomy.yaml', 'species', 'name');
+
+  const issues = [
+    ...site.issues,
+    ...categories.issues,
+    ...photos.issues,
+    ...locations.issues,
+    ...taxonomy.issues,
+  ];
+
+  if (taxonomy.data) {
+    issues.push(...findTaxonConflicts(taxonomy.data));
+  }
+
+  // Location ids share one URL space (/locations/<id>/), so they must be
+  // unique across countries, regions and places
+  const locationIds = new Set();
+  if (locations.data) {
+    const nodes = locations.data.flatMap((country) => [
+      country,
+      ...country.regions.flatMap((region) => [region, ...region.places]),
+      ...country.places,
+    ]);
+    issues.push(...findDuplicates(nodes, 'id', 'locations.yaml', 'location id'));
+    nodes.forEach((node) => locationIds.add(node.id));
+  }
+
+  if (categories.data) {
+    const list = categories.data;
+    if (list.length === 0 && categories.issues.length === 0) {
+      issues.push({ file: 'categories.yaml', field: 'categories', message: 'must list at least one category' });
+    }
+    issues.push(...findDuplicates(list, 'id', 'categories.yaml', 'category id'));
+    issues.push(...findDuplicates(list, 'slug', 'categories.yaml', 'category slug'));
+
+    for (const category of list) {
+      const filterIds = new Set();
+      for (const filter of category.filters) {
+        if (filterIds.has(filter.id)) {
+          issues.push({
+            file: 'categories.yaml',
+            entry: category.id,
+            field: 'filters',
+            message: `duplicate filter id "${filter.id}"`,
+          });
+        }
+        filterIds.add(filter.id);
+      }
+    }
+  }
+
+  if (photos.data) {
+    const list = photos.data;
+    issues.push(...findDuplicates(list, 'id', 'photos.yaml', 'photo id'));
+    issues.push(...findDuplicates(list, 'slug', 'photos.yaml', 'slug'));
+
+    if (locations.data) {
+      for (const photo of list) {
+        if (photo.location_id && !locationIds.has(photo.location_id)) {
+          issues.push({
+            file: 'photos.yaml',
+            entry: photo.id,
+            field: 'location_id',
+            message: `unknown location "${photo.location_id}" (not in locations.yaml)`,
+          });
+        }
+      }
+    }
+
+    if (categories.data) {
+      const categoryMap = new Map(categories.data.map((cat) => [cat.id, cat]));
+      const categoryIds = [...categoryMap.keys()].join(', ');
+
+      for (const photo of list) {
+        const category = categoryMap.get(photo.category);
+        if (!category) {
+          issues.push({
+            file: 'photos.yaml',
+            entry: photo.id,
+            field: 'category',
+            message: `unknown category "${photo.category}" (expected one of: ${categoryIds})`,
+          });
+          continue;
+        }
+
+        const filterIds = category.filters.map((filter) => filter.id);
+        for (const filter of photo.filters) {
+          if (!filterIds.includes(filter)) {
+            issues.push({
+              file: 'photos.yaml',
+              entry: photo.id,
+              field: 'filters',
+              message: filterIds.length > 0
+                ? `unknown filter "${filter}" for category "${category.id}" (expected one of: ${filterIds.join(', ')})`
+                : `unknown filter "${filter}": category "${category.id}" has no filters`,
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    issues,
+    site: site.data,
+    categories: categories.data,
+    photos: photos.data,
+    locations: locations.data,
+    taxonomy: taxonomy.data,
+  };
+}
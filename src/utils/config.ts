@@ -1,11 +1,36 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import yaml from 'js-yaml';
-import type { SiteConfig, Category, Photo, NavItem } from '../types';
+import { validateConfig, ConfigValidationError } from './config-schema.js';
+import { LOCAL_IMAGE_BASE, buildImageUrl } from './images';
+import type { ImageConfig, ImageOptions } from './images';
+import type {
+  SiteConfig,
+  Category,
+  CategorySort,
+  ImageProvider,
+  LocationCountry,
+  Photo,
+  NavItem,
+  Taxon,
+} from '../types';
 
 // Base path for config files
 const CONFIG_DIR = path.join(process.cwd(), 'config');
 
+// locations.yaml and taxonomy.yaml are optional; the rest are required
+const CONFIG_FILES = ['site.yaml', 'categories.yaml', 'photos.yaml', 'locations.yaml', 'taxonomy.yaml'];
+
+interface LoadedConfig {
+  site: SiteConfig;
+  categories: Category[];
+  photos: Photo[];
+  locations: LocationCountry[];
+  taxonomy: Taxon[];
+}
+
+let cachedConfig: { key: string; config: LoadedConfig } | null = null;
+
 /**
  * Load and parse a YAML file
  */
@@ -15,19 +40,83 @@ function loadYaml<T>(filename: string): T {
   return yaml.load(fileContents) as T;
 }
 
+/**
+ * Load an optional YAML file, or undefined if it doesn't exist
+ */
+function loadOptionalYaml<T>(filename: string): T | undefined {
+  return fs.existsSync(path.join(CONFIG_DIR, filename)) ? loadYaml<T>(filename) : undefined;
+}
+
+/**
+ * Load and validate all config files. Results are cached until one of the
+ * files changes on disk, so edits are still picked up by the dev server.
+ * Throws a ConfigValidationError listing every problem found.
+ */
+function loadConfig(): LoadedConfig {
+  const key = CONFIG_FILES.map(
+    (file) => fs.statSync(path.join(CONFIG_DIR, file), { throwIfNoEntry: false })?.mtimeMs ?? 0
+  ).join(':');
+
+  if (cachedConfig?.key === key) {
+    return cachedConfig.config;
+  }
+
+  const result = validateConfig({
+    site: loadYaml('site.yaml'),
+    categories: loadYaml('categories.yaml'),
+    photos: loadYaml('photos.yaml'),
+    locations: loadOptionalYaml('locations.yaml'),
+    taxonomy: loadOptionalYaml('taxonomy.yaml'),
+  });
+
+  if (
+    result.issues.length > 0 ||
+    !result.site ||
+    !result.categories ||
+    !result.photos ||
+    !result.locations ||
+    !result.taxonomy
+  ) {
+    throw new ConfigValidationError(result.issues);
+  }
+
+  const config: LoadedConfig = {
+    site: result.site as SiteConfig,
+    categories: result.categories,
+    photos: result.photos,
+    locations: result.locations,
+    taxonomy: result.taxonomy,
+  };
+  cachedConfig = { key, config };
+  return config;
+}
+
 /**
  * Get site configuration
  */
 export function getSiteConfig(): SiteConfig {
-  return loadYaml<SiteConfig>('site.yaml');
+  return loadConfig().site;
 }
 
 /**
  * Get all categories
  */
 export function getCategories(): Category[] {
-  const data = loadYaml<{ categories: Category[] }>('categories.yaml');
-  return data.categories;
+  return loadConfig().categories;
+}
+
+/**
+ * Get the location hierarchy from locations.yaml (empty if the file is missing)
+ */
+export function getLocationTree(): LocationCountry[] {
+  return loadConfig().locations;
+}
+
+/**
+ * Get the species taxonomy from taxonomy.yaml (empty if the file is missing)
+ */
+export function getTaxonomy(): Taxon[] {
+  return loadConfig().taxonomy;
 }
 
 /**
@@ -61,33 +150,108 @@ export function getCategoryBySlug(slug: string): Category | undefined {
  * Get all photos
  */
 export function getPhotos(): Photo[] {
-  const data = loadYaml<{ photos: Photo[] }>('photos.yaml');
-  return data.photos;
+  return [...loadConfig().photos];
+}
+
+/**
+ * Hash a string into a 32-bit seed (FNV-1a)
+ */
+function hashString(value: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
 }
 
 /**
- * Shuffle array using Fisher-Yates algorithm
+ * Seeded pseudo-random number generator (mulberry32)
  */
-function shuffleArray<T>(array: T[]): T[] {
+function createRandom(seed: string): () => number {
+  let state = hashString(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffle array using Fisher-Yates algorithm with a seeded generator, so the
+ * same seed always produces the same order
+ */
+function shuffleArray<T>(array: T[], seed: string): T[] {
+  const random = createRandom(seed);
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 }
 
 /**
- * Get photos filtered by category (randomized order)
+ * Seed for shuffled orderings. Stable across builds unless BUILD_SEED or
+ * `shuffle_seed` in site.yaml is changed; `scope` keeps each list distinct.
+ */
+function getShuffleSeed(scope: string): string {
+  const base = process.env.BUILD_SEED || getSiteConfig().shuffle_seed || 'gallery';
+  return `${base}:${scope}`;
+}
+
+/**
+ * Compare photos by date taken, newest first (ties broken by id)
+ */
+function compareByDate(a: Photo, b: Photo): number {
+  return b.date_taken.localeCompare(a.date_taken) || a.id.localeCompare(b.id);
+}
+
+/**
+ * Order photos according to a category sort mode
+ */
+export function sortPhotos(photos: Photo[], sort: CategorySort, seed: string): Photo[] {
+  switch (sort) {
+    case 'shuffle':
+      return shuffleArray(
+        [...photos].sort((a, b) => a.id.localeCompare(b.id)),
+        seed
+      );
+    case 'title':
+      return [...photos].sort(
+        (a, b) => a.title.localeCompare(b.title, 'en', { sensitivity: 'base' }) || a.id.localeCompare(b.id)
+      );
+    case 'manual':
+      // Photos with an explicit `order` come first; the rest fall back to date
+      return [...photos].sort((a, b) => {
+        if (a.order !== undefined && b.order !== undefined) {
+          return a.order - b.order || compareByDate(a, b);
+        }
+        if (a.order !== undefined) return -1;
+        if (b.order !== undefined) return 1;
+        return compareByDate(a, b);
+      });
+    case 'date':
+    default:
+      return [...photos].sort(compareByDate);
+  }
+}
+
+/**
+ * Get photos filtered by category, in the category's configured order
  */
 export function getPhotosByCategory(categoryId: string): Photo[] {
   const photos = getPhotos();
   const filtered = photos.filter((photo) => photo.category === categoryId);
-  return shuffleArray(filtered);
+  const sort = getCategoryById(categoryId)?.sort ?? 'date';
+  return sortPhotos(filtered, sort, getShuffleSeed(categoryId));
 }
 
 /**
- * Get photos filtered by category and optional filter (randomized order)
+ * Get photos filtered by category and optional filter, in the category's
+ * configured order
  */
 export function getPhotosByCategoryAndFilter(
   categoryId: string,
@@ -97,8 +261,15 @@ export function getPhotosByCategoryAndFilter(
   if (!filterId) {
     return photos;
   }
-  const filtered = photos.filter((photo) => photo.filters.includes(filterId));
-  return shuffleArray(filtered);
+  return photos.filter((photo) => photo.filters.includes(filterId));
+}
+
+/**
+ * Get the site path of a photo's page, e.g. "/birds/great-blue-heron/"
+ */
+export function getPhotoPath(photo: Photo): string {
+  const categorySlug = getCategoryById(photo.category)?.slug ?? photo.category;
+  return `/${categorySlug}/${photo.slug}/`;
 }
 
 /**
@@ -125,18 +296,15 @@ export function getPhotoByCategoryAndSlug(
  */
 export function getRecentPhotos(count: number): Photo[] {
   const photos = getPhotos();
-  return photos
-    .sort((a, b) => new Date(b.date_taken).getTime() - new Date(a.date_taken).getTime())
-    .slice(0, count);
+  return photos.sort(compareByDate).slice(0, count);
 }
 
 /**
- * Get random photos
+ * Get random photos (seeded, so the selection is stable within a build)
  */
 export function getRandomPhotos(count: number): Photo[] {
   const photos = getPhotos();
-  const shuffled = [...photos].sort(() => Math.random() - 0.5);
-  return shuffled.slice(0, count);
+  return shuffleArray(photos, getShuffleSeed('photo-wall')).slice(0, count);
 }
 
 /**
@@ -153,32 +321,47 @@ export function getPhotoWallPhotos(): Photo[] {
 }
 
 /**
- * Cloudinary URL helper - get base URL for transformations
+ * Get the resolved image settings. The IMAGE_PROVIDER environment variable
+ * overrides `images.provider` in site.yaml, e.g. IMAGE_PROVIDER=local for an
+ * offline build.
  */
-export const CLOUDINARY_BASE = 'https://res.cloudinary.com/dsilndqt6/image/upload';
+export function getImageConfig(): ImageConfig {
+  const { images, cloudinary } = getSiteConfig();
+  const provider = (process.env.IMAGE_PROVIDER || images.provider) as ImageProvider;
 
-/**
- * Generate Cloudinary URL with transformations
- */
-export function getCloudinaryUrl(
-  publicId: string,
-  options?: {
-    width?: number;
-    height?: number;
-    quality?: number | 'auto';
-    format?: 'auto' | 'webp' | 'avif' | 'jpg' | 'png';
-    crop?: 'fill' | 'fit' | 'scale' | 'thumb';
+  if (provider !== 'local' && provider !== 'cloudinary') {
+    throw new Error(`Unknown image provider "${provider}" (expected "cloudinary" or "local")`);
+  }
+  if (provider === 'cloudinary' && !cloudinary) {
+    throw new Error('The cloudinary image provider needs a `cloudinary` block in config/site.yaml');
   }
-): string {
-  const transforms: string[] = [];
 
-  if (options?.width) transforms.push(`w_${options.width}`);
-  if (options?.height) transforms.push(`h_${options.height}`);
-  if (options?.quality) transforms.push(`q_${options.quality}`);
-  if (options?.format) transforms.push(`f_${options.format}`);
-  if (options?.crop) transforms.push(`c_${options.crop}`);
+  return {
+    provider,
+    base_url: provider === 'local' ? LOCAL_IMAGE_BASE : cloudinary!.base_url,
+    id_prefix: images.id_prefix,
+    widths: images.widths,
+    formats: images.formats,
+  };
+}
 
-  const transformString = transforms.length > 0 ? transforms.join(',') + '/' : '';
+/**
+ * Get the URL of an image (a photo's `cloudinary_id`) from the configured provider
+ */
+export function getImageUrl(id: string, options?: ImageOptions): string {
+  return buildImageUrl(getImageConfig(), id, options);
+}
 
-  return `${CLOUDINARY_BASE}/${transformString}${publicId}`;
+/**
+ * Get an image in a fixed format, for consumers that can't negotiate one
+ * (feeds, the JSON API): JPEG from Cloudinary, or the local provider's first
+ * format. The URL is relative for the local provider.
+ */
+export function getFixedFormatImage(id: string, width: number): { url: string; type: string } {
+  const { provider, formats } = getImageConfig();
+  const format = provider === 'local' ? formats[0] : 'jpg';
+  return {
+    url: getImageUrl(id, { width, quality: 'auto', format }),
+    type: format === 'jpg' ? 'image/jpeg' : `image/${format}`,
+  };
 }
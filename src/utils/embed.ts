@@ -0,0 +1,56 @@
+/**
+ * Settings for the embeddable gallery, read from the iframe's query string:
+ *   /embed/<category-slug>/?species=<name>&count=<n>&layout=grid|strip&theme=light|dark|auto
+ *
+ * public/embed.js builds that URL from the attributes on the host page.
+ * Used by the client-side script in the embed page.
+ */
+
+export const EMBED_LAYOUTS = ['grid', 'strip'] as const;
+export const EMBED_THEMES = ['light', 'dark', 'auto'] as const;
+
+export type EmbedLayout = (typeof EMBED_LAYOUTS)[number];
+export type EmbedTheme = (typeof EMBED_THEMES)[number];
+
+export interface EmbedOptions {
+  // Species name or slug; null for every photo in the category
+  species: string | null;
+  count: number;
+  layout: EmbedLayout;
+  theme: EmbedTheme;
+}
+
+export const DEFAULT_EMBED_OPTIONS: EmbedOptions = {
+  species: null,
+  count: 12,
+  layout: 'grid',
+  theme: 'light',
+};
+
+// Most photos one widget will show
+export const MAX_EMBED_COUNT = 48;
+
+// postMessage type the embed page sends its height with; public/embed.js
+// listens for the same string
+export const EMBED_RESIZE_MESSAGE = 'gallery-embed:resize';
+
+function readChoice<T extends string>(value: string | null, choices: readonly T[], fallback: T): T {
+  return choices.includes(value as T) ? (value as T) : fallback;
+}
+
+/**
+ * Read embed settings from a query string, falling back to the defaults
+ */
+export function readEmbedOptions(search: string): EmbedOptions {
+  const params = new URLSearchParams(search);
+  const count = Math.floor(Number(params.get('count')));
+
+  return {
+    species: params.get('species')?.trim() || null,
+    count: Number.isFinite(count) && count > 0
+      ? Math.min(count, MAX_EMBED_COUNT)
+      : DEFAULT_EMBED_OPTIONS.count,
+    layout: readChoice(params.get('layout'), EMBED_LAYOUTS, DEFAULT_EMBED_OPTIONS.layout),
+    theme: readChoice(params.get('theme'), EMBED_THEMES, DEFAULT_EMBED_OPTIONS.theme),
+  };
+}
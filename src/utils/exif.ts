@@ -0,0 +1,49 @@
+import type { Photo } from '../types';
+
+// Client-safe: used by the photo page, PhotoCard and client-built cards
+
+export interface ShotDetail {
+  label: string;
+  value: string;
+}
+
+type ShotFields = Pick<
+  Photo,
+  'taken_at' | 'camera' | 'lens' | 'focal_length' | 'aperture' | 'shutter_speed' | 'iso'
+>;
+
+/**
+ * Format a camera-local "YYYY-MM-DDTHH:MM:SS" as e.g. "June 22, 2024, 7:41 AM"
+ */
+function formatTakenAt(takenAt: string): string {
+  // Without a time zone suffix the value is read and printed in the same
+  // zone, so the camera's wall-clock time is kept
+  return new Date(takenAt).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Get a photo's EXIF capture details as label/value pairs, skipping any that
+ * weren't recorded
+ */
+export function getShotDetails(photo: ShotFields): ShotDetail[] {
+  const details: ShotDetail[] = [];
+  const add = (label: string, value: string | undefined) => {
+    if (value) details.push({ label, value });
+  };
+
+  add('Taken', photo.taken_at ? formatTakenAt(photo.taken_at) : undefined);
+  add('Camera', photo.camera);
+  add('Lens', photo.lens);
+  add('Focal length', photo.focal_length ? `${photo.focal_length} mm` : undefined);
+  add('Aperture', photo.aperture ? `f/${photo.aperture}` : undefined);
+  add('Shutter', photo.shutter_speed ? `${photo.shutter_speed} s` : undefined);
+  add('ISO', photo.iso ? String(photo.iso) : undefined);
+
+  return details;
+}
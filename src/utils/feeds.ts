@@ -0,0 +1,265 @@
+import {
+  getCategories,
+  getFixedFormatImage,
+  getPhotoPath,
+  getPhotos,
+  getPhotosByCategory,
+  getSiteConfig,
+} from './config';
+import type { Category, Photo } from '../types';
+
+// Atom (/feed.xml), RSS 2.0 (/rss.xml) and JSON Feed 1.1 (/feed.json) of the
+// newest photos, for the whole site and for each category
+
+export interface Feed {
+  title: string;
+  description: string;
+  // Page the feed follows; its feeds live at `${path}feed.xml` etc.
+  path: string;
+  photos: Photo[];
+}
+
+// Entries per feed
+const FEED_LIMIT = 50;
+
+export const FEED_TYPES = {
+  atom: { file: 'feed.xml', type: 'application/atom+xml', label: 'Atom' },
+  rss: { file: 'rss.xml', type: 'application/rss+xml', label: 'RSS' },
+  json: { file: 'feed.json', type: 'application/feed+json', label: 'JSON Feed' },
+} as const;
+
+export type FeedFormat = keyof typeof FEED_TYPES;
+
+/**
+ * When a photo was published: `date_added`, or `date_taken` for photos
+ * added before that field existed
+ */
+export function getPublishedDate(photo: Photo): string {
+  return photo.date_added || photo.date_taken;
+}
+
+/**
+ * The newest photos first, by published date
+ */
+export function getFeedPhotos(photos: Photo[], limit = FEED_LIMIT): Photo[] {
+  return [...photos]
+    .sort(
+      (a, b) =>
+        getPublishedDate(b).localeCompare(getPublishedDate(a)) ||
+        b.date_taken.localeCompare(a.date_taken) ||
+        a.id.localeCompare(b.id)
+    )
+    .slice(0, limit);
+}
+
+export function getSiteFeed(): Feed {
+  const { site_name, tagline } = getSiteConfig();
+  return { title: site_name, description: tagline, path: '/', photos: getPhotos() };
+}
+
+export function getCategoryFeed(category: Category): Feed {
+  const { site_name } = getSiteConfig();
+  return {
+    title: `${category.name} | ${site_name}`,
+    description: category.description || `${category.name} photography by ${site_name}`,
+    path: `/${category.slug}/`,
+    photos: getPhotosByCategory(category.id),
+  };
+}
+
+/**
+ * Static paths for the per-category feed endpoints
+ */
+export function getCategoryFeedPaths() {
+  return getCategories().map((category) => ({
+    params: { category: category.slug },
+    props: { category },
+  }));
+}
+
+interface FeedEntry {
+  url: string;
+  title: string;
+  description: string;
+  species: string | null;
+  location: string | null;
+  category: string;
+  published: Date;
+  image: { url: string; type: string };
+  contentHtml: string;
+}
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function getFeedImage(photo: Photo, site: URL): { url: string; type: string } {
+  const image = getFixedFormatImage(photo.cloudinary_id, 1200);
+  return { ...image, url: new URL(image.url, site).href };
+}
+
+function getFeedEntries(feed: Feed, site: URL): FeedEntry[] {
+  const categoryNames = new Map(getCategories().map((category) => [category.id, category.name]));
+
+  return getFeedPhotos(feed.photos).map((photo) => {
+    const image = getFeedImage(photo, site);
+    const details = [
+      photo.species && `Species: ${escapeXml(photo.species)}`,
+      photo.location && `Location: ${escapeXml(photo.location)}`,
+    ].filter(Boolean);
+
+    return {
+      url: new URL(getPhotoPath(photo), site).href,
+      title: photo.title,
+      description: photo.description,
+      species: photo.species,
+      location: photo.location,
+      category: categoryNames.get(photo.category) ?? photo.category,
+      published: new Date(`${getPublishedDate(photo)}T00:00:00Z`),
+      image,
+      contentHtml: [
+        `<p><img src="${escapeXml(image.url)}" alt="${escapeXml(photo.title)}" /></p>`,
+        photo.description && `<p>${escapeXml(photo.description)}</p>`,
+        details.length > 0 && `<p>${details.join('<br />')}</p>`,
+      ]
+        .filter(Boolean)
+        .join(''),
+    };
+  });
+}
+
+function getFeedUrls(feed: Feed, site: URL) {
+  return {
+    home: new URL(feed.path, site).href,
+    atom: new URL(`${feed.path}${FEED_TYPES.atom.file}`, site).href,
+    rss: new URL(`${feed.path}${FEED_TYPES.rss.file}`, site).href,
+    json: new URL(`${feed.path}${FEED_TYPES.json.file}`, site).href,
+  };
+}
+
+// With no entries, feeds are dated to the build
+function getUpdated(entries: FeedEntry[]): Date {
+  return entries[0]?.published ?? new Date();
+}
+
+function renderAtomFeed(feed: Feed, site: URL): string {
+  const entries = getFeedEntries(feed, site);
+  const urls = getFeedUrls(feed, site);
+  const { site_name } = getSiteConfig();
+
+  const items = entries.map((entry) => `
+  <entry>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}" />
+    <link rel="enclosure" type="${entry.image.type}" href="${escapeXml(entry.image.url)}" />
+    <id>${escapeXml(entry.url)}</id>
+    <published>${entry.published.toISOString()}</published>
+    <updated>${entry.published.toISOString()}</updated>
+    <summary>${escapeXml(entry.description)}</summary>
+    <content type="html">${escapeXml(entry.contentHtml)}</content>
+    <category term="${escapeXml(entry.category)}" />${entry.species ? `
+    <category term="${escapeXml(entry.species)}" />` : ''}
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" type="${FEED_TYPES.atom.type}" href="${escapeXml(urls.atom)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(urls.home)}" />
+  <id>${escapeXml(urls.home)}</id>
+  <updated>${getUpdated(entries).toISOString()}</updated>
+  <author>
+    <name>${escapeXml(site_name)}</name>
+  </author>${items}
+</feed>
+`;
+}
+
+function renderRssFeed(feed: Feed, site: URL): string {
+  const entries = getFeedEntries(feed, site);
+  const urls = getFeedUrls(feed, site);
+
+  const items = entries.map((entry) => `
+    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <guid isPermaLink="true">${escapeXml(entry.url)}</guid>
+      <pubDate>${entry.published.toUTCString()}</pubDate>
+      <description>${escapeXml(entry.contentHtml)}</description>
+      <enclosure url="${escapeXml(entry.image.url)}" length="0" type="${entry.image.type}" />
+      <category>${escapeXml(entry.category)}</category>${entry.species ? `
+      <category>${escapeXml(entry.species)}</category>` : ''}
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(urls.home)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <atom:link rel="self" type="${FEED_TYPES.rss.type}" href="${escapeXml(urls.rss)}" />
+    <lastBuildDate>${getUpdated(entries).toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderJsonFeed(feed: Feed, site: URL): string {
+  const entries = getFeedEntries(feed, site);
+  const urls = getFeedUrls(feed, site);
+  const { site_name } = getSiteConfig();
+
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: urls.home,
+    feed_url: urls.json,
+    description: feed.description,
+    language: 'en',
+    authors: [{ name: site_name }],
+    items: entries.map((entry) => ({
+      id: entry.url,
+      url: entry.url,
+      title: entry.title,
+      summary: entry.description,
+      content_html: entry.contentHtml,
+      image: entry.image.url,
+      date_published: entry.published.toISOString(),
+      tags: [entry.category, entry.species].filter(Boolean),
+      attachments: [{ url: entry.image.url, mime_type: entry.image.type }],
+      // Extension fields (JSON Feed allows keys starting with "_")
+      _photo: {
+        species: entry.species,
+        location: entry.location,
+      },
+    })),
+  }, null, 2);
+}
+
+const RENDERERS: Record<FeedFormat, (feed: Feed, site: URL) => string> = {
+  atom: renderAtomFeed,
+  rss: renderRssFeed,
+  json: renderJsonFeed,
+};
+
+/**
+ * Build the response for a feed endpoint
+ */
+export function createFeedResponse(feed: Feed, format: FeedFormat, site: URL | undefined): Response {
+  if (!site) {
+    throw new Error('Feeds need absolute URLs: set `site` in astro.config.mjs');
+  }
+
+  return new Response(RENDERERS[format](feed, site), {
+    headers: {
+      'Content-Type': `${FEED_TYPES[format].type}; charset=utf-8`,
+    },
+  });
+}
@@ -0,0 +1,98 @@
+/**
+ * Gallery view state shared through the URL query string:
+ *   ?filter=<filter-id>&species=<species-slug>&sort=newest|oldest|title
+ *
+ * Used by the client-side scripts in FilterBar and PaginatedGallery.
+ */
+
+import type { Photo } from '../types';
+
+export type GallerySort = 'newest' | 'oldest' | 'title';
+
+// A photo as shipped to the gallery script, with the slug of its species page
+// (see getPhotoSpeciesSlug in species.ts) so aliases filter like the
+// canonical name
+export type GalleryPhoto = Photo & { species_slug: string | null };
+
+export interface GalleryState {
+  filter: string;
+  species: string | null;
+  sort: GallerySort | null;
+}
+
+export const GALLERY_SORTS: { id: GallerySort; name: string }[] = [
+  { id: 'newest', name: 'Newest' },
+  { id: 'oldest', name: 'Oldest' },
+  { id: 'title', name: 'Title' },
+];
+
+// Dispatched on document by the gallery controls with a Partial<GalleryState>
+export const GALLERY_STATE_EVENT = 'gallery:statechange';
+
+const DEFAULT_STATE: GalleryState = { filter: 'all', species: null, sort: null };
+
+/**
+ * Read gallery state from a query string
+ */
+export function readGalleryState(search: string): GalleryState {
+  const params = new URLSearchParams(search);
+  const sort = params.get('sort');
+
+  return {
+    filter: params.get('filter') || DEFAULT_STATE.filter,
+    species: params.get('species') || null,
+    sort: GALLERY_SORTS.some((option) => option.id === sort) ? (sort as GallerySort) : null,
+  };
+}
+
+/**
+ * Write gallery state into a URL, dropping params that are at their default
+ */
+export function writeGalleryState(url: URL, state: GalleryState): URL {
+  const next = new URL(url);
+  const values: Record<string, string | null> = {
+    filter: state.filter === DEFAULT_STATE.filter ? null : state.filter,
+    species: state.species,
+    sort: state.sort,
+  };
+
+  for (const [key, value] of Object.entries(values)) {
+    if (value) {
+      next.searchParams.set(key, value);
+    } else {
+      next.searchParams.delete(key);
+    }
+  }
+
+  return next;
+}
+
+/**
+ * True when the state shows every photo in the category's own order
+ */
+export function isDefaultGalleryState(state: GalleryState): boolean {
+  return state.filter === DEFAULT_STATE.filter && !state.species && !state.sort;
+}
+
+/**
+ * Filter and sort the full photo list for a gallery state. Without a sort
+ * the incoming (category) order is kept.
+ */
+export function applyGalleryState(photos: GalleryPhoto[], state: GalleryState): GalleryPhoto[] {
+  const filtered = photos.filter((photo) => {
+    if (state.filter !== 'all' && !photo.filters?.includes(state.filter)) return false;
+    if (state.species && photo.species_slug !== state.species) return false;
+    return true;
+  });
+
+  switch (state.sort) {
+    case 'newest':
+      return filtered.sort((a, b) => b.date_taken.localeCompare(a.date_taken));
+    case 'oldest':
+      return filtered.sort((a, b) => a.date_taken.localeCompare(b.date_taken));
+    case 'title':
+      return filtered.sort((a, b) => a.title.localeCompare(b.title, 'en', { sensitivity: 'base' }));
+    default:
+      return filtered;
+  }
+}
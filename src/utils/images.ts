@@ -0,0 +1,199 @@
+import type { ImageProvider, LocalImageFormat, Photo } from '../types';
+
+// Client-safe: shared by Astro components and client-side card builders.
+// Images are referred to by id (a photo's `cloudinary_id`, or `hero.image`).
+
+export interface ImageOptions {
+  width?: number;
+  height?: number;
+  quality?: number | 'auto';
+  format?: 'auto' | 'webp' | 'avif' | 'jpg' | 'png';
+  crop?: 'fill' | 'fit' | 'limit' | 'scale' | 'thumb';
+}
+
+// Resolved image settings, from getImageConfig() in config.ts
+export interface ImageConfig {
+  provider: ImageProvider;
+  // Cloudinary delivery URL, or the path local variants are served from
+  base_url: string;
+  id_prefix: string;
+  widths: number[];
+  formats: LocalImageFormat[];
+}
+
+declare global {
+  interface Window {
+    // Set by BaseLayout for client-side card builders
+    __imageConfig: ImageConfig;
+  }
+}
+
+// Where the local provider's variants are served from
+export const LOCAL_IMAGE_BASE = '/images';
+
+/**
+ * Path of an image under public/photos/ (without extension), e.g.
+ * "photo-gallery/birds/heron" -> "birds/heron"
+ */
+export function getLocalImageName(config: ImageConfig, id: string): string {
+  return id.startsWith(config.id_prefix) ? id.slice(config.id_prefix.length) : id;
+}
+
+/**
+ * Pick the generated width to serve for a requested width: the smallest one
+ * that is at least as wide, or the largest available
+ */
+export function getLocalImageWidth(config: ImageConfig, width?: number): number {
+  const widths = [...config.widths].sort((a, b) => a - b);
+  const largest = widths[widths.length - 1];
+  if (!width) return largest;
+  return widths.find((candidate) => candidate >= width) ?? largest;
+}
+
+/**
+ * Get the URL of an image at the given size and format. The local provider
+ * only scales: `height` and `crop` are left to CSS (object-fit), and formats
+ * it doesn't generate fall back to its first format.
+ */
+export function buildImageUrl(config: ImageConfig, id: string, options?: ImageOptions): string {
+  if (config.provider === 'local') {
+    const width = getLocalImageWidth(config, options?.width);
+    const requested = options?.format as LocalImageFormat | undefined;
+    const format = requested && config.formats.includes(requested) ? requested : config.formats[0];
+    return `${config.base_url}/${getLocalImageName(config, id)}-${width}.${format}`;
+  }
+
+  const transforms: string[] = [];
+
+  if (options?.width) transforms.push(`w_${options.width}`);
+  if (options?.height) transforms.push(`h_${options.height}`);
+  if (options?.quality) transforms.push(`q_${options.quality}`);
+  if (options?.format) transforms.push(`f_${options.format}`);
+  if (options?.crop) transforms.push(`c_${options.crop}`);
+
+  const transformString = transforms.length > 0 ? transforms.join(',') + '/' : '';
+
+  return `${config.base_url}/${transformString}${id}`;
+}
+
+// Width of the image loaded when zooming in the lightbox. Cloudinary caps it at
+// the original's size (crop: 'limit'); locally the largest generated width is used.
+export const ZOOM_IMAGE_WIDTH = 3200;
+
+// `sizes` for cards in the masonry grids (1-4 columns in a 1400px container)
+export const MASONRY_SIZES =
+  '(min-width: 1280px) 340px, (min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw';
+
+export interface ResponsiveImageOptions {
+  // Rendered width of the image, e.g. "(min-width: 768px) 66vw, 100vw"
+  sizes: string;
+  // Largest width offered in the srcset (defaults to the largest configured)
+  maxWidth?: number;
+  // Crop to this width/height ratio (Cloudinary only; use object-fit locally)
+  aspectRatio?: number;
+}
+
+export interface ResponsiveImage {
+  src: string;
+  srcset: string;
+  sizes: string;
+  // Extra formats to offer before the fallback, as <picture> sources
+  sources: { type: string; srcset: string }[];
+}
+
+/**
+ * Get src/srcset/sizes for an image at every configured width up to
+ * `maxWidth`. Cloudinary picks the format per browser (f_auto); the local
+ * provider offers AVIF as a <picture> source with WebP as the fallback.
+ */
+export function buildResponsiveImage(
+  config: ImageConfig,
+  id: string,
+  options: ResponsiveImageOptions
+): ResponsiveImage {
+  const allWidths = [...config.widths].sort((a, b) => a - b);
+  const maxWidth = options.maxWidth ?? allWidths[allWidths.length - 1];
+  const widths = allWidths.filter((width) => width <= maxWidth);
+  if (widths.length === 0) widths.push(allWidths[0]);
+
+  const urlFor = (width: number, format: ImageOptions['format']) =>
+    buildImageUrl(config, id, {
+      width,
+      quality: 'auto',
+      format,
+      ...(options.aspectRatio && {
+        height: Math.round(width / options.aspectRatio),
+        crop: 'fill' as const,
+      }),
+    });
+  const srcsetFor = (format: ImageOptions['format']) =>
+    widths.map((width) => `${urlFor(width, format)} ${width}w`).join(', ');
+  const largest = widths[widths.length - 1];
+
+  if (config.provider === 'cloudinary') {
+    return {
+      src: urlFor(largest, 'auto'),
+      srcset: srcsetFor('auto'),
+      sizes: options.sizes,
+      sources: [],
+    };
+  }
+
+  const fallback: LocalImageFormat = config.formats.includes('webp') ? 'webp' : config.formats[0];
+  return {
+    src: urlFor(largest, fallback),
+    srcset: srcsetFor(fallback),
+    sizes: options.sizes,
+    sources: config.formats
+      .filter((format) => format !== fallback)
+      .map((format) => ({ type: `image/${format}`, srcset: srcsetFor(format) })),
+  };
+}
+
+/**
+ * Inline style that paints a photo's placeholder (blurred preview over its
+ * dominant color) behind the image until it loads
+ */
+export function getPlaceholderStyle(
+  photo: Pick<Photo, 'placeholder' | 'color'>
+): string | undefined {
+  const layers = [
+    photo.color,
+    photo.placeholder && `url("${photo.placeholder}") center / cover no-repeat`,
+  ].filter(Boolean);
+  return layers.length > 0 ? `background: ${layers.join(' ')}` : undefined;
+}
+
+function escapeAttribute(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Render a responsive image as HTML for client-side card builders, matching
+ * the markup of ResponsiveImage.astro
+ */
+export function renderResponsiveImage(
+  image: ResponsiveImage,
+  attributes: Record<string, string | number | undefined>
+): string {
+  const attrs = Object.entries({
+    src: image.src,
+    srcset: image.srcset,
+    sizes: image.sizes,
+    ...attributes,
+  })
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([name, value]) => `${name}="${escapeAttribute(String(value))}"`)
+    .join(' ');
+
+  const img = `<img ${attrs} />`;
+  if (image.sources.length === 0) return img;
+
+  const sources = image.sources
+    .map(
+      (source) =>
+        `<source type="${source.type}" srcset="${escapeAttribute(source.srcset)}" sizes="${escapeAttribute(image.sizes)}" />`
+    )
+    .join('');
+  return `<picture>${sources}${img}</picture>`;
+}
@@ -0,0 +1,153 @@
+import { getLocationPath, getPhotoLocation } from './locations';
+import { getAllSpecies } from './species';
+import type { Species } from './species';
+import type { Location, Photo } from '../types';
+
+// Most locations listed under "Top locations"
+const TOP_LOCATION_COUNT = 5;
+
+export interface LifeListEntry {
+  // Position in the order the species were first photographed, from 1
+  number: number;
+  species: Species;
+  // Earliest photo of the species and where it was taken
+  firstPhoto: Photo;
+  firstLocation: Location | null;
+}
+
+export interface LifeListGroup {
+  // null for species that aren't in taxonomy.yaml
+  family: string | null;
+  order: string | null;
+  // Sorted by name
+  entries: LifeListEntry[];
+}
+
+export interface LifeListLocation {
+  location: Location;
+  // The location and the country it's in, e.g. "Tamarindo, Costa Rica"
+  label: string;
+  speciesCount: number;
+}
+
+export interface LifeList {
+  // By family, then the species without taxonomy (all of them when
+  // taxonomy.yaml is missing) in a last group with no family
+  groups: LifeListGroup[];
+  speciesCount: number;
+  familyCount: number;
+  photoCount: number;
+  // Species first photographed each year, oldest year first, with no gaps
+  newPerYear: { year: number; count: number }[];
+  // Where the most species were photographed
+  topLocations: LifeListLocation[];
+}
+
+function compareByDateTaken(a: Photo, b: Photo): number {
+  return (
+    a.date_taken.localeCompare(b.date_taken) ||
+    (a.taken_at ?? '').localeCompare(b.taken_at ?? '') ||
+    a.id.localeCompare(b.id)
+  );
+}
+
+function compareNames(a: string, b: string): number {
+  return a.localeCompare(b, 'en', { sensitivity: 'base' });
+}
+
+/**
+ * Split entries into families, ordered by taxonomic order and then family
+ * name, with species that have no taxonomy last
+ */
+function groupByFamily(entries: LifeListEntry[]): LifeListGroup[] {
+  const groups = new Map<string, LifeListGroup>();
+
+  for (const entry of entries) {
+    const taxon = entry.species.taxon;
+    const key = taxon?.family ?? '';
+    const group = groups.get(key) ?? { family: taxon?.family ?? null, order: taxon?.order ?? null, entries: [] };
+    group.entries.push(entry);
+    groups.set(key, group);
+  }
+
+  return [...groups.values()]
+    .map((group) => ({
+      ...group,
+      entries: [...group.entries].sort((a, b) => compareNames(a.species.name, b.species.name)),
+    }))
+    .sort((a, b) => {
+      if (!a.family || !b.family) return a.family ? -1 : b.family ? 1 : 0;
+      return compareNames(a.order ?? '', b.order ?? '') || compareNames(a.family, b.family);
+    });
+}
+
+function getNewPerYear(entries: LifeListEntry[]): LifeList['newPerYear'] {
+  const counts = new Map<number, number>();
+  for (const { firstPhoto } of entries) {
+    const year = Number(firstPhoto.date_taken.slice(0, 4));
+    counts.set(year, (counts.get(year) ?? 0) + 1);
+  }
+  if (counts.size === 0) return [];
+
+  const first = Math.min(...counts.keys());
+  const last = Math.max(...counts.keys());
+  return Array.from({ length: last - first + 1 }, (_, i) => ({
+    year: first + i,
+    count: counts.get(first + i) ?? 0,
+  }));
+}
+
+// Counts each species once per location, using the most specific location
+// each photo resolves to
+function getTopLocations(species: Species[]): LifeListLocation[] {
+  const seen = new Map<string, { location: Location; species: Set<string> }>();
+
+  for (const { slug, photos } of species) {
+    for (const photo of photos) {
+      const location = getPhotoLocation(photo);
+      if (!location) continue;
+      const entry = seen.get(location.id) ?? { location, species: new Set<string>() };
+      entry.species.add(slug);
+      seen.set(location.id, entry);
+    }
+  }
+
+  return [...seen.values()]
+    .map(({ location, species }) => {
+      const country = getLocationPath(location)[0];
+      return {
+        location,
+        label: country.id === location.id ? location.name : `${location.name}, ${country.name}`,
+        speciesCount: species.size,
+      };
+    })
+    .sort((a, b) => b.speciesCount - a.speciesCount || compareNames(a.label, b.label))
+    .slice(0, TOP_LOCATION_COUNT);
+}
+
+/**
+ * Build the life list: every species with when and where it was first
+ * photographed, plus summary statistics
+ */
+export function getLifeList(): LifeList {
+  const species = getAllSpecies();
+
+  const entries = species
+    .map((entry) => {
+      const firstPhoto = [...entry.photos].sort(compareByDateTaken)[0];
+      return { species: entry, firstPhoto, firstLocation: getPhotoLocation(firstPhoto) };
+    })
+    .sort((a, b) => compareByDateTaken(a.firstPhoto, b.firstPhoto))
+    .map((entry, i) => ({ ...entry, number: i + 1 }));
+
+  const families = new Set(species.flatMap((entry) => (entry.taxon ? [entry.taxon.family] : [])));
+
+  return {
+    groups: groupByFamily(entries),
+    speciesCount: species.length,
+    familyCount: families.size,
+    photoCount: species.reduce((total, entry) => total + entry.photos.length, 0),
+    newPerYear: getNewPerYear(entries),
+    topLocations: getTopLocations(species),
+  };
+}
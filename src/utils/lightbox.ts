@@ -0,0 +1,56 @@
+/**
+ * Lightbox state shared through the URL hash:
+ *   #photo=<photo-slug>
+ *
+ * Used by the client-side scripts in Lightbox, PaginatedGallery and the
+ * slideshow page. Photo slugs are unique across categories, so the slug
+ * alone identifies a card.
+ */
+
+import type { ShotDetail } from './exif';
+
+// A photo as shown in the lightbox, read from a card's data attributes or
+// passed in directly (the kiosk slideshow has no cards)
+export interface LightboxPhoto {
+  fullUrl: string;
+  zoomUrl: string;
+  title: string;
+  description: string;
+  species: string;
+  location: string;
+  shotDetails: ShotDetail[];
+  placeholderStyle?: string;
+  width?: number;
+  height?: number;
+  slug: string;
+  href: string;
+  element?: HTMLElement;
+}
+
+const HASH_KEY = 'photo';
+
+// Dispatched on document by the Lightbox with a LightboxRevealDetail when a
+// linked photo has no card yet, or a slideshow needs every photo; galleries
+// that render cards in batches append them up to that photo (or all of them)
+export const LIGHTBOX_REVEAL_EVENT = 'lightbox:reveal';
+
+export interface LightboxRevealDetail {
+  // null for every photo
+  slug: string | null;
+}
+
+/**
+ * Read the open photo's slug from a URL hash
+ */
+export function readLightboxHash(hash: string): string | null {
+  return new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY) || null;
+}
+
+/**
+ * Write the open photo's slug into a URL's hash, or remove it for null
+ */
+export function writeLightboxHash(url: URL, slug: string | null): URL {
+  const next = new URL(url);
+  next.hash = slug ? `${HASH_KEY}=${encodeURIComponent(slug)}` : '';
+  return next;
+}
@@ -0,0 +1,195 @@
+import { getLocationTree, getPhotos } from './config';
+import type { Location, LocationLevel, LocationPlace, Photo } from '../types';
+
+export interface LocationGroup {
+  location: Location;
+  // Photos at this location or anywhere below it, newest first
+  photos: Photo[];
+  children: LocationGroup[];
+}
+
+/**
+ * Normalize free text for matching: case, accents, punctuation and the
+ * "Mt"/"Mount" spelling are ignored
+ */
+export function normalizeLocationText(text: string): string {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/\bmt\b/g, 'mount');
+}
+
+/**
+ * Get every node of the location hierarchy, parents before children
+ */
+export function getLocations(): Location[] {
+  const locations: Location[] = [];
+  const add = (
+    { id, name, aliases, lat, lng }: LocationPlace,
+    level: LocationLevel,
+    parentId: string | null
+  ) => locations.push({ id, name, aliases, level, parentId, lat, lng });
+
+  for (const country of getLocationTree()) {
+    add(country, 'country', null);
+    for (const region of country.regions) {
+      add(region, 'region', country.id);
+      region.places.forEach((place) => add(place, 'place', region.id));
+    }
+    country.places.forEach((place) => add(place, 'place', country.id));
+  }
+
+  return locations;
+}
+
+/**
+ * Get a single location by id
+ */
+export function getLocationById(id: string): Location | undefined {
+  return getLocations().find((location) => location.id === id);
+}
+
+/**
+ * Get a location and its ancestors, outermost (country) first
+ */
+export function getLocationPath(location: Location): Location[] {
+  const byId = new Map(getLocations().map((loc) => [loc.id, loc]));
+  const path: Location[] = [location];
+  let parentId = location.parentId;
+
+  while (parentId) {
+    const parent = byId.get(parentId);
+    if (!parent) break;
+    path.unshift(parent);
+    parentId = parent.parentId;
+  }
+
+  return path;
+}
+
+const LEVEL_DEPTH = { country: 0, region: 1, place: 2 };
+
+/**
+ * Build a lookup from normalized names and aliases to locations
+ */
+function buildIndex(locations: Location[]): Map<string, Location> {
+  const index = new Map<string, Location>();
+  for (const location of locations) {
+    for (const name of [location.name, ...location.aliases]) {
+      const key = normalizeLocationText(name);
+      // A name listed twice resolves to the first location that uses it
+      if (key && !index.has(key)) {
+        index.set(key, location);
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Match free text against location names and aliases. The whole value is
+ * tried first, then each comma-separated part; the most specific match wins,
+ * so "Tamarindo, Costa Rica" resolves to Tamarindo rather than Costa Rica.
+ */
+export function matchLocation(
+  text: string,
+  index: Map<string, Location> = buildIndex(getLocations())
+): Location | null {
+  const exact = index.get(normalizeLocationText(text));
+  if (exact) return exact;
+
+  let best: Location | null = null;
+  for (const part of text.split(',')) {
+    const match = index.get(normalizeLocationText(part));
+    if (match && (!best || LEVEL_DEPTH[match.level] > LEVEL_DEPTH[best.level])) {
+      best = match;
+    }
+  }
+  return best;
+}
+
+/**
+ * Resolve a photo's location: its `location_id` if set, otherwise its
+ * free-text `location` matched against locations.yaml
+ */
+export function getPhotoLocation(
+  photo: Photo,
+  index?: Map<string, Location>
+): Location | null {
+  if (photo.location_id) {
+    return getLocationById(photo.location_id) ?? null;
+  }
+  return photo.location ? matchLocation(photo.location, index) : null;
+}
+
+/**
+ * Get where a photo was taken: its own GPS position, or failing that the
+ * approximate position of its location (or the nearest ancestor that has one)
+ */
+export function getPhotoCoordinates(
+  photo: Photo,
+  index?: Map<string, Location>
+): { lat: number; lng: number; approximate: boolean } | null {
+  if (photo.lat !== undefined && photo.lng !== undefined) {
+    return { lat: photo.lat, lng: photo.lng, approximate: false };
+  }
+
+  let location = getPhotoLocation(photo, index);
+  while (location) {
+    if (location.lat !== undefined && location.lng !== undefined) {
+      return { lat: location.lat, lng: location.lng, approximate: true };
+    }
+    location = location.parentId ? getLocationById(location.parentId) ?? null : null;
+  }
+  return null;
+}
+
+/**
+ * Group all photos by location as a tree (country > region > place), with
+ * each node counting the photos of its descendants. Locations without any
+ * photos are left out.
+ */
+export function getLocationGroups(): LocationGroup[] {
+  const locations = getLocations();
+  const index = buildIndex(locations);
+  const byId = new Map(locations.map((loc) => [loc.id, loc]));
+  const photosById = new Map<string, Photo[]>();
+
+  const photos = [...getPhotos()].sort(
+    (a, b) => b.date_taken.localeCompare(a.date_taken) || a.id.localeCompare(b.id)
+  );
+
+  for (const photo of photos) {
+    let location = getPhotoLocation(photo, index);
+    // Credit the photo to the location and every ancestor
+    while (location) {
+      const list = photosById.get(location.id) ?? [];
+      list.push(photo);
+      photosById.set(location.id, list);
+      location = location.parentId ? byId.get(location.parentId) ?? null : null;
+    }
+  }
+
+  function build(parentId: string | null): LocationGroup[] {
+    return locations
+      .filter((loc) => loc.parentId === parentId && photosById.has(loc.id))
+      .map((location) => ({
+        location,
+        photos: photosById.get(location.id)!,
+        children: build(location.id),
+      }))
+      .sort((a, b) => b.photos.length - a.photos.length || a.location.name.localeCompare(b.location.name));
+  }
+
+  return build(null);
+}
+
+/**
+ * Flatten location groups, parents before children
+ */
+export function flattenLocationGroups(groups: LocationGroup[]): LocationGroup[] {
+  return groups.flatMap((group) => [group, ...flattenLocationGroups(group.children)]);
+}
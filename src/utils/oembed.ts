@@ -0,0 +1,107 @@
+import {
+  getCategories,
+  getFixedFormatImage,
+  getImageConfig,
+  getPhotoPath,
+  getPhotosByCategory,
+  getSiteConfig,
+} from './config';
+import { getLocalImageWidth } from './images';
+import type { Photo } from '../types';
+
+// oEmbed (https://oembed.com) responses for photo pages, built statically at
+// /<category>/<slug>/oembed.json and found through the discovery <link> in
+// PhotoLayout
+
+export const OEMBED_TYPE = 'application/json+oembed';
+
+// Widths of the embedded image and its thumbnail
+const OEMBED_IMAGE_WIDTH = 1200;
+const OEMBED_THUMBNAIL_WIDTH = 320;
+
+interface OEmbedImage {
+  url: string;
+  width: number;
+  height: number;
+}
+
+/**
+ * Get the site path of a photo's oEmbed response
+ */
+export function getOEmbedPath(photo: Photo): string {
+  return `${getPhotoPath(photo)}oembed.json`;
+}
+
+/**
+ * Static paths for /<category>/<slug>/oembed.json
+ */
+export function getOEmbedPaths() {
+  return getCategories().flatMap((category) =>
+    getPhotosByCategory(category.id).map((photo) => ({
+      params: { category: category.slug, slug: photo.slug },
+      props: { photo },
+    }))
+  );
+}
+
+// oEmbed photos must give the exact size of the image at `url`, so request
+// no more than the original and account for the local provider serving its
+// nearest generated width (never enlarged)
+function getOEmbedImage(photo: Photo, width: number, site: URL): OEmbedImage | null {
+  if (!photo.width || !photo.height) return null;
+
+  const requested = Math.min(width, photo.width);
+  const config = getImageConfig();
+  const served = Math.min(
+    config.provider === 'local' ? getLocalImageWidth(config, requested) : requested,
+    photo.width
+  );
+  const image = getFixedFormatImage(photo.cloudinary_id, requested);
+
+  return {
+    url: new URL(image.url, site).href,
+    width: served,
+    height: Math.round((photo.height * served) / photo.width),
+  };
+}
+
+/**
+ * Build a photo's oEmbed response: type "photo", or "link" for the rare
+ * photo whose dimensions aren't known
+ */
+export function getOEmbed(photo: Photo, site: URL): Record<string, string | number> {
+  const { site_name } = getSiteConfig();
+  const image = getOEmbedImage(photo, OEMBED_IMAGE_WIDTH, site);
+  const thumbnail = getOEmbedImage(photo, OEMBED_THUMBNAIL_WIDTH, site);
+
+  return {
+    version: '1.0',
+    type: image ? 'photo' : 'link',
+    title: photo.title,
+    author_name: site_name,
+    author_url: new URL('/about/', site).href,
+    provider_name: site_name,
+    provider_url: new URL('/', site).href,
+    ...(image && { url: image.url, width: image.width, height: image.height }),
+    ...(thumbnail && {
+      thumbnail_url: thumbnail.url,
+      thumbnail_width: thumbnail.width,
+      thumbnail_height: thumbnail.height,
+    }),
+  };
+}
+
+/**
+ * Build the response for a photo's oEmbed endpoint
+ */
+export function createOEmbedResponse(photo: Photo, site: URL | undefined): Response {
+  if (!site) {
+    throw new Error('oEmbed needs absolute URLs: set `site` in astro.config.mjs');
+  }
+
+  return new Response(JSON.stringify(getOEmbed(photo, site)), {
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+}
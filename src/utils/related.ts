@@ -0,0 +1,110 @@
+import { getPhotos } from './config';
+import { getLocationPath, getPhotoLocation, normalizeLocationText } from './locations';
+import { getPhotoSpeciesSlug } from './species';
+import type { LocationLevel, Photo } from '../types';
+
+// What a shared trait is worth when ranking related photos
+const SPECIES_SCORE = 10;
+// By the most specific location both photos are within
+const LOCATION_SCORES: Record<LocationLevel, number> = { place: 6, region: 3, country: 1 };
+const FILTER_SCORE = 1;
+const CATEGORY_SCORE = 2;
+// Full marks for the same day, falling to nothing DATE_WINDOW_DAYS apart
+const DATE_SCORE = 3;
+const DATE_WINDOW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+interface PhotoTraits {
+  species: string | null;
+  // Location ids from the country down, or the free text when unmatched
+  locationPath: { id: string; level: LocationLevel }[];
+  locationText: string | null;
+  time: number;
+}
+
+// Computed once per photo object, so a config reload starts afresh
+const traitCache = new WeakMap<Photo, PhotoTraits>();
+
+function getTraits(photo: Photo): PhotoTraits {
+  let traits = traitCache.get(photo);
+  if (!traits) {
+    const location = getPhotoLocation(photo);
+    traits = {
+      species: getPhotoSpeciesSlug(photo),
+      locationPath: location
+        ? getLocationPath(location).map(({ id, level }) => ({ id, level }))
+        : [],
+      locationText: !location && photo.location ? normalizeLocationText(photo.location) || null : null,
+      time: new Date(photo.date_taken).getTime(),
+    };
+    traitCache.set(photo, traits);
+  }
+  return traits;
+}
+
+function scoreLocation(a: PhotoTraits, b: PhotoTraits): number {
+  if (a.locationText && a.locationText === b.locationText) {
+    return LOCATION_SCORES.place;
+  }
+
+  // Deepest location the two paths have in common
+  let shared: LocationLevel | null = null;
+  for (let i = 0; i < Math.min(a.locationPath.length, b.locationPath.length); i++) {
+    if (a.locationPath[i].id !== b.locationPath[i].id) break;
+    shared = a.locationPath[i].level;
+  }
+  return shared ? LOCATION_SCORES[shared] : 0;
+}
+
+/**
+ * Score how alike two photos are by species, location, filters, category
+ * and how close together they were taken
+ */
+export function scoreRelatedPhoto(photo: Photo, candidate: Photo): number {
+  const a = getTraits(photo);
+  const b = getTraits(candidate);
+  let score = 0;
+
+  if (a.species && a.species === b.species) score += SPECIES_SCORE;
+  score += scoreLocation(a, b);
+
+  if (photo.category === candidate.category) {
+    score += CATEGORY_SCORE;
+    // Filters are per category, so they only mean something within one
+    const filters = new Set(photo.filters);
+    score += candidate.filters.filter((filter) => filters.has(filter)).length * FILTER_SCORE;
+  }
+
+  if (!Number.isNaN(a.time) && !Number.isNaN(b.time)) {
+    const days = Math.abs(a.time - b.time) / DAY_MS;
+    score += DATE_SCORE * Math.max(0, 1 - days / DATE_WINDOW_DAYS);
+  }
+
+  return score;
+}
+
+/**
+ * Get the photos most like a photo, best first, leaving out the photo
+ * itself and any in `exclude` (e.g. its prev/next neighbours)
+ */
+export function getRelatedPhotos(
+  photo: Photo,
+  options: { exclude?: (Photo | null)[]; limit?: number } = {}
+): Photo[] {
+  const { exclude = [], limit = 6 } = options;
+  const excluded = new Set([photo.id, ...exclude.flatMap((other) => (other ? [other.id] : []))]);
+
+  return getPhotos()
+    .filter((candidate) => !excluded.has(candidate.id))
+    .map((candidate) => ({ candidate, score: scoreRelatedPhoto(photo, candidate) }))
+    .filter(({ score }) => score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.candidate.date_taken.localeCompare(a.candidate.date_taken) ||
+        a.candidate.id.localeCompare(b.candidate.id)
+    )
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+}
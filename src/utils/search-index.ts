@@ -0,0 +1,141 @@
+import { createHash } from 'node:crypto';
+import Fuse from 'fuse.js';
+import { getCategories, getPhotoPath, getPhotos } from './config';
+import { getLocationPath, getPhotoLocation } from './locations';
+import { getPhotoSpeciesName, getPhotoSpeciesSlug } from './species';
+import { getPhotoTaxon } from './taxonomy';
+import {
+  SEARCH_FUSE_OPTIONS,
+  compactSearchEntry,
+  getDescriptionShardKey,
+  tokenizeDescription,
+} from './search';
+import type { DescriptionShard, SearchIndexEntry, SearchIndexMeta, SearchTaxon } from './search';
+import type { Photo } from '../types';
+
+// The search index is built once per build into /search-index/, with a hash
+// of each file's content in its name so browsers can cache it for good. The
+// format is described in src/utils/search.ts.
+
+const SEARCH_INDEX_BASE = '/search-index';
+
+interface SearchIndexFile {
+  // File name without ".json", e.g. "meta-1a2b3c4d5e"
+  name: string;
+  body: string;
+}
+
+interface SearchIndexFiles {
+  metaUrl: string;
+  files: SearchIndexFile[];
+}
+
+let cached: { photos: Photo[]; index: SearchIndexFiles } | null = null;
+
+function hashFile(prefix: string, body: string): SearchIndexFile {
+  const hash = createHash('sha256').update(body).digest('hex').slice(0, 10);
+  return { name: `${prefix}-${hash}`, body };
+}
+
+function getFileUrl(file: SearchIndexFile): string {
+  return `${SEARCH_INDEX_BASE}/${file.name}.json`;
+}
+
+function buildSearchIndex(photos: Photo[]): SearchIndexFiles {
+  const categories = Object.fromEntries(
+    getCategories().map(({ id, name, slug }) => [id, { name, slug }])
+  );
+  const locations: Record<string, string> = {};
+  const taxa: Record<string, SearchTaxon> = {};
+  const entries: SearchIndexEntry[] = [];
+  const shards = new Map<string, DescriptionShard>();
+
+  photos.forEach((photo, position) => {
+    const location = getPhotoLocation(photo);
+    const path = location ? getLocationPath(location) : [];
+    for (const { id, name } of path) locations[id] = name;
+
+    const taxon = getPhotoTaxon(photo);
+    const taxonFields: SearchTaxon | null = taxon && {
+      scientific_name: taxon.scientific_name,
+      family: taxon.family,
+      aliases: taxon.aliases,
+    };
+    const speciesSlug = getPhotoSpeciesSlug(photo);
+    if (speciesSlug && taxonFields) taxa[speciesSlug] = taxonFields;
+
+    entries.push({
+      href: getPhotoPath(photo),
+      slug: photo.slug,
+      category: photo.category,
+      categoryName: categories[photo.category]?.name ?? photo.category,
+      title: photo.title,
+      species: getPhotoSpeciesName(photo) || '',
+      location: photo.location || '',
+      locations: path.map(({ id, name }) => ({ id, name })),
+      date_taken: photo.date_taken,
+      available_for_print: photo.available_for_print,
+      cloudinary_id: photo.cloudinary_id,
+      width: photo.width,
+      height: photo.height,
+      color: photo.color,
+      ...taxonFields,
+    });
+
+    for (const word of new Set(tokenizeDescription(photo.description))) {
+      const key = getDescriptionShardKey(word);
+      const shard = shards.get(key) ?? {};
+      (shard[word] ??= []).push(position);
+      shards.set(key, shard);
+    }
+  });
+
+  const shardFiles = [...shards]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, shard]) => ({ key, file: hashFile(`descriptions-${key}`, JSON.stringify(shard)) }));
+
+  // Kept out of the metadata shard: only the search page needs it
+  const fuseFile = hashFile('fuse', JSON.stringify(Fuse.createIndex(SEARCH_FUSE_OPTIONS.keys, entries).toJSON()));
+
+  const meta: SearchIndexMeta = {
+    entries: entries.map(compactSearchEntry),
+    categories,
+    locations,
+    taxa,
+    fuse: getFileUrl(fuseFile),
+    descriptions: Object.fromEntries(shardFiles.map(({ key, file }) => [key, getFileUrl(file)])),
+  };
+  const metaFile = hashFile('meta', JSON.stringify(meta));
+
+  return {
+    metaUrl: getFileUrl(metaFile),
+    files: [metaFile, fuseFile, ...shardFiles.map(({ file }) => file)],
+  };
+}
+
+// Every page links to the index, so build it once per set of photos
+function getSearchIndex(): SearchIndexFiles {
+  const photos = getPhotos();
+  const unchanged =
+    cached?.photos.length === photos.length &&
+    cached.photos.every((photo, i) => photo === photos[i]);
+
+  if (!cached || !unchanged) {
+    cached = { photos, index: buildSearchIndex(photos) };
+  }
+  return cached.index;
+}
+
+/**
+ * URL of the search index's metadata shard, for the client-side scripts
+ */
+export function getSearchIndexUrl(): string {
+  return getSearchIndex().metaUrl;
+}
+
+/**
+ * Static paths for /search-index/<name>.json
+ */
+export function getSearchIndexPaths() {
+  return getSearchIndex().files.map(({ name, body }) => ({ params: { file: name }, props: { body } }));
+}
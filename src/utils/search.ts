@@ -0,0 +1,390 @@
+/**
+ * Search page state shared through the URL query string:
+ *   ?q=<text>&category=<id>&species=<slug>&location=<id>&year=<yyyy>&print=1&sort=newest|oldest
+ *
+ * Facet params can repeat (?species=a&species=b). Values within a facet are
+ * alternatives; different facets must all match.
+ *
+ * Also reads the search index built by src/utils/search-index.ts: a metadata
+ * shard with the fields of every photo that results show or are searched on
+ * (titles, species with their scientific names, families and aliases from
+ * taxonomy.yaml, locations and categories), a Fuse.js index of those fields
+ * built at build time and only fetched by the search page, and description
+ * shards that are only fetched when a query needs them.
+ *
+ * Used by the client-side scripts on the search page and in SearchBar.
+ */
+
+import type { FuseIndexRecords, IFuseOptions } from 'fuse.js';
+import { getSpeciesSlug } from './slug';
+
+// One photo, as used by the search page and suggestions
+export interface SearchIndexEntry {
+  // Photo page path
+  href: string;
+  slug: string;
+  category: string;
+  categoryName: string;
+  title: string;
+  // Name of the photo's species page, so aliases and misspellings share its
+  // slug in facets, suggestions and the taxa lookup
+  species: string;
+  location: string;
+  // The photo's resolved location and the locations containing it, country first
+  locations: { id: string; name: string }[];
+  date_taken: string;
+  available_for_print: boolean;
+  cloudinary_id: string;
+  width?: number;
+  height?: number;
+  color?: string;
+  // From the species' taxonomy entry, when it has one
+  scientific_name?: string;
+  family?: string;
+  aliases?: string[];
+}
+
+// Taxonomy of a species in the metadata shard
+export interface SearchTaxon {
+  scientific_name: string;
+  family: string;
+  aliases: string[];
+}
+
+// A photo in the metadata shard: the values of SEARCH_ENTRY_FIELDS in order,
+// with null for missing values and location ids in place of locations. The
+// photo page path is rebuilt from the category and slug.
+export type CompactSearchEntry = unknown[];
+
+const SEARCH_ENTRY_FIELDS = [
+  'slug',
+  'category',
+  'title',
+  'species',
+  'location',
+  'locations',
+  'date_taken',
+  'available_for_print',
+  'cloudinary_id',
+  'width',
+  'height',
+  'color',
+] as const;
+
+// The metadata shard
+export interface SearchIndexMeta {
+  entries: CompactSearchEntry[];
+  categories: Record<string, { name: string; slug: string }>;
+  locations: Record<string, string>;
+  // Keyed by the slug of each photo's species, so entries only store the name
+  taxa: Record<string, SearchTaxon>;
+  // URL of the Fuse.js index shard
+  fuse: string;
+  // URL of the description shard for each first letter of a word
+  descriptions: Record<string, string>;
+}
+
+// The Fuse.js index shard: Fuse.createIndex(SEARCH_FUSE_OPTIONS.keys, entries).toJSON()
+export interface SearchFuseIndex {
+  keys: ReadonlyArray<string>;
+  records: FuseIndexRecords;
+}
+
+// A description shard: each word maps to the positions of the entries whose
+// descriptions contain it
+export type DescriptionShard = Record<string, number[]>;
+
+export const SEARCH_FUSE_OPTIONS = {
+  keys: [
+    { name: 'title', weight: 2 },
+    { name: 'species', weight: 2 },
+    { name: 'scientific_name', weight: 2 },
+    { name: 'aliases', weight: 1.5 },
+    { name: 'location', weight: 1.5 },
+    { name: 'family', weight: 0.5 },
+    { name: 'categoryName', weight: 0.5 },
+  ],
+  threshold: 0.3,
+  ignoreLocation: true,
+  includeScore: true,
+} satisfies IFuseOptions<SearchIndexEntry>;
+
+// Too common to be worth indexing in descriptions
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'by', 'for', 'from', 'in', 'into', 'is', 'it', 'its',
+  'of', 'on', 'or', 'the', 'this', 'to', 'with',
+]);
+
+/**
+ * Split text into the words indexed for descriptions: lowercase, without
+ * accents, punctuation or stop words
+ */
+export function tokenizeDescription(text: string): string[] {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Which description shard a word is in: its first letter, with all digits
+ * sharing one shard
+ */
+export function getDescriptionShardKey(word: string): string {
+  return /^[0-9]/.test(word) ? '0' : word[0];
+}
+
+/**
+ * Pack an entry into a metadata shard row
+ */
+export function compactSearchEntry(entry: SearchIndexEntry): CompactSearchEntry {
+  return SEARCH_ENTRY_FIELDS.map((field) =>
+    field === 'locations' ? entry.locations.map(({ id }) => id) : entry[field] ?? null
+  );
+}
+
+function expandSearchEntry(row: CompactSearchEntry, meta: SearchIndexMeta): SearchIndexEntry {
+  const fields = Object.fromEntries(
+    SEARCH_ENTRY_FIELDS.map((field, i) => [field, row[i] ?? undefined])
+  ) as Omit<SearchIndexEntry, 'href' | 'categoryName' | 'locations'> & { locations: string[] };
+  const category = meta.categories[fields.category];
+  const taxon = fields.species ? meta.taxa[getSpeciesSlug(fields.species)] : undefined;
+
+  return {
+    ...fields,
+    href: `/${category?.slug ?? fields.category}/${fields.slug}/`,
+    categoryName: category?.name ?? fields.category,
+    locations: fields.locations.map((id) => ({ id, name: meta.locations[id] ?? id })),
+    ...taxon,
+  };
+}
+
+/**
+ * Fetch the metadata shard and expand it into entries
+ */
+export async function loadSearchIndex(url: string): Promise<{
+  meta: SearchIndexMeta;
+  entries: SearchIndexEntry[];
+}> {
+  const response = await fetch(url);
+  const meta: SearchIndexMeta = await response.json();
+  return { meta, entries: meta.entries.map((row) => expandSearchEntry(row, meta)) };
+}
+
+/**
+ * Fetch the prebuilt Fuse.js index, for Fuse.parseIndex()
+ */
+export async function loadSearchFuseIndex(meta: SearchIndexMeta): Promise<SearchFuseIndex> {
+  const response = await fetch(meta.fuse);
+  return response.json();
+}
+
+const descriptionShards = new Map<string, Promise<DescriptionShard>>();
+
+function loadDescriptionShard(url: string): Promise<DescriptionShard> {
+  let shard = descriptionShards.get(url);
+  if (!shard) {
+    shard = fetch(url).then((response) => response.json());
+    shard.catch(() => descriptionShards.delete(url));
+    descriptionShards.set(url, shard);
+  }
+  return shard;
+}
+
+/**
+ * Find the entries whose descriptions have a word starting with each word
+ * of the query, fetching only the shards those words are in. Returns entry
+ * positions.
+ */
+export async function searchDescriptions(meta: SearchIndexMeta, query: string): Promise<Set<number>> {
+  const words = tokenizeDescription(query);
+  if (words.length === 0) return new Set();
+
+  const shards = await Promise.all(
+    words.map((word) => {
+      const url = meta.descriptions[getDescriptionShardKey(word)];
+      return url ? loadDescriptionShard(url) : Promise.resolve({} as DescriptionShard);
+    })
+  );
+
+  const perWord = words.map((word, i) => {
+    const found = new Set<number>();
+    for (const [indexed, positions] of Object.entries(shards[i])) {
+      if (indexed.startsWith(word)) positions.forEach((position) => found.add(position));
+    }
+    return found;
+  });
+  return perWord.reduce((matches, found) => new Set([...matches].filter((position) => found.has(position))));
+}
+
+export type SearchSort = 'relevance' | 'newest' | 'oldest';
+
+export const SEARCH_SORTS: { id: SearchSort; name: string }[] = [
+  { id: 'relevance', name: 'Relevance' },
+  { id: 'newest', name: 'Newest' },
+  { id: 'oldest', name: 'Oldest' },
+];
+
+export type SearchFacet = 'category' | 'species' | 'location' | 'year' | 'print';
+
+export const SEARCH_FACETS: { id: SearchFacet; name: string }[] = [
+  { id: 'category', name: 'Category' },
+  { id: 'species', name: 'Species' },
+  { id: 'location', name: 'Location' },
+  { id: 'year', name: 'Year' },
+  { id: 'print', name: 'Prints' },
+];
+
+export interface SearchState {
+  q: string;
+  sort: SearchSort;
+  facets: Record<SearchFacet, string[]>;
+}
+
+export interface FacetOption {
+  id: string;
+  name: string;
+  count: number;
+  selected: boolean;
+}
+
+const DEFAULT_SORT: SearchSort = 'relevance';
+
+/**
+ * Read search state from a query string
+ */
+export function readSearchState(search: string): SearchState {
+  const params = new URLSearchParams(search);
+  const sort = params.get('sort');
+  const facets = Object.fromEntries(
+    SEARCH_FACETS.map(({ id }) => [id, [...new Set(params.getAll(id).filter(Boolean))]])
+  ) as Record<SearchFacet, string[]>;
+
+  return {
+    q: params.get('q')?.trim() || '',
+    sort: SEARCH_SORTS.some((option) => option.id === sort) ? (sort as SearchSort) : DEFAULT_SORT,
+    facets,
+  };
+}
+
+/**
+ * Write search state into a URL, dropping params that are empty or at their
+ * default
+ */
+export function writeSearchState(url: URL, state: SearchState): URL {
+  const next = new URL(url);
+
+  for (const key of ['q', 'sort', ...SEARCH_FACETS.map(({ id }) => id)]) {
+    next.searchParams.delete(key);
+  }
+  if (state.q) next.searchParams.set('q', state.q);
+  for (const { id } of SEARCH_FACETS) {
+    for (const value of state.facets[id]) next.searchParams.append(id, value);
+  }
+  if (state.sort !== DEFAULT_SORT) next.searchParams.set('sort', state.sort);
+
+  return next;
+}
+
+/**
+ * The facet values a photo has, e.g. its year or every location it's within
+ */
+export function getFacetValues(entry: SearchIndexEntry, facet: SearchFacet): { id: string; name: string }[] {
+  switch (facet) {
+    case 'category':
+      return [{ id: entry.category, name: entry.categoryName }];
+    case 'species': {
+      const slug = entry.species ? getSpeciesSlug(entry.species) : '';
+      return slug ? [{ id: slug, name: entry.species }] : [];
+    }
+    case 'location':
+      return entry.locations;
+    case 'year': {
+      const year = entry.date_taken.slice(0, 4);
+      return /^\d{4}$/.test(year) ? [{ id: year, name: year }] : [];
+    }
+    case 'print':
+      return entry.available_for_print ? [{ id: '1', name: 'Available as a print' }] : [];
+  }
+}
+
+function matchesFacets(
+  entry: SearchIndexEntry,
+  facets: Record<SearchFacet, string[]>,
+  except?: SearchFacet
+): boolean {
+  return SEARCH_FACETS.every(({ id }) => {
+    const selected = facets[id];
+    if (id === except || selected.length === 0) return true;
+    return getFacetValues(entry, id).some((value) => selected.includes(value.id));
+  });
+}
+
+/**
+ * Keep the entries that match every selected facet
+ */
+export function applySearchFacets(
+  entries: SearchIndexEntry[],
+  facets: Record<SearchFacet, string[]>
+): SearchIndexEntry[] {
+  return entries.filter((entry) => matchesFacets(entry, facets));
+}
+
+/**
+ * Count the options of every facet. Each facet is counted against the
+ * entries matching the *other* facets, so picking a species still shows how
+ * many photos the other species would add. Selected options are always
+ * listed, even when nothing matches them any more.
+ */
+export function getFacetCounts(
+  entries: SearchIndexEntry[],
+  facets: Record<SearchFacet, string[]>
+): Record<SearchFacet, FacetOption[]> {
+  const result = {} as Record<SearchFacet, FacetOption[]>;
+
+  for (const { id: facet } of SEARCH_FACETS) {
+    const options = new Map<string, FacetOption>();
+    const selected = facets[facet];
+
+    for (const entry of entries) {
+      if (!matchesFacets(entry, facets, facet)) continue;
+      for (const value of getFacetValues(entry, facet)) {
+        const option = options.get(value.id);
+        if (option) {
+          option.count++;
+        } else {
+          options.set(value.id, { ...value, count: 1, selected: selected.includes(value.id) });
+        }
+      }
+    }
+
+    for (const id of selected) {
+      if (!options.has(id)) options.set(id, { id, name: id, count: 0, selected: true });
+    }
+
+    result[facet] = [...options.values()].sort((a, b) =>
+      facet === 'year'
+        ? b.id.localeCompare(a.id)
+        : b.count - a.count || a.name.localeCompare(b.name, 'en', { sensitivity: 'base' })
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Sort results by date; "relevance" keeps the incoming (search score) order
+ */
+export function sortSearchResults(entries: SearchIndexEntry[], sort: SearchSort): SearchIndexEntry[] {
+  switch (sort) {
+    case 'newest':
+      return [...entries].sort((a, b) => b.date_taken.localeCompare(a.date_taken));
+    case 'oldest':
+      return [...entries].sort((a, b) => a.date_taken.localeCompare(b.date_taken));
+    default:
+      return entries;
+  }
+}
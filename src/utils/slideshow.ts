@@ -0,0 +1,49 @@
+/**
+ * Slideshow settings, read from the kiosk page's query string:
+ *   /slideshow/?category=<category-slug>&interval=<seconds>&shuffle=1
+ *
+ * Used by the client-side scripts in Lightbox and the slideshow page.
+ */
+
+export interface SlideshowOptions {
+  // Seconds each photo is shown
+  interval: number;
+  shuffle: boolean;
+}
+
+// Intervals offered in the lightbox's slideshow controls, in seconds
+export const SLIDESHOW_INTERVALS = [3, 5, 8, 12];
+
+export const DEFAULT_SLIDESHOW_OPTIONS: SlideshowOptions = { interval: 5, shuffle: false };
+
+// Shortest interval accepted from the URL
+const MIN_INTERVAL = 2;
+
+/**
+ * Read slideshow settings from a query string, falling back to the defaults
+ */
+export function readSlideshowOptions(search: string): SlideshowOptions & { category: string | null } {
+  const params = new URLSearchParams(search);
+  const interval = Number(params.get('interval'));
+  const shuffle = params.get('shuffle');
+
+  return {
+    category: params.get('category') || null,
+    interval: Number.isFinite(interval) && interval >= MIN_INTERVAL
+      ? interval
+      : DEFAULT_SLIDESHOW_OPTIONS.interval,
+    shuffle: shuffle === null ? DEFAULT_SLIDESHOW_OPTIONS.shuffle : shuffle !== '0' && shuffle !== 'false',
+  };
+}
+
+/**
+ * Shuffle a copy of a list (Fisher-Yates)
+ */
+export function shuffled<T>(items: T[]): T[] {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
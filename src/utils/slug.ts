@@ -0,0 +1,18 @@
+/**
+ * Convert text to a URL slug, e.g. "Anna's Hummingbird" -> "anna-s-hummingbird"
+ */
+export function slugify(text: string): string {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+}
+
+/**
+ * Slug for a species name. Case, punctuation and hyphenation differences
+ * ("Red-tailed Hawk", "red tailed hawk") map to the same slug.
+ */
+export function getSpeciesSlug(name: string): string {
+  return slugify(name.replace(/[’']/g, ''));
+}
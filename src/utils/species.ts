@@ -0,0 +1,120 @@
+import { getPhotos } from './config';
+import { getSpeciesSlug } from './slug';
+import { getTaxon } from './taxonomy';
+import type { CategoryFilter, Photo, Taxon } from '../types';
+
+export interface Species {
+  slug: string;
+  name: string;
+  photos: Photo[];
+  cover: Photo;
+  // Scientific name, family and order, when the species is in taxonomy.yaml
+  taxon: Taxon | null;
+}
+
+interface SpeciesGroup {
+  names: Map<string, number>;
+  photos: Photo[];
+  taxon: Taxon | null;
+}
+
+/**
+ * Pick the display name for a group of spellings: the most common one,
+ * preferring the earliest seen on a tie
+ */
+function pickDisplayName(counts: Map<string, number>): string {
+  let best = '';
+  let bestCount = 0;
+  for (const [name, count] of counts) {
+    if (count > bestCount) {
+      best = name;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Get the name a species is listed under: the common name of its taxonomy
+ * entry, so aliases and misspellings share one page, or else the name as
+ * written
+ */
+function getCanonicalName(species: string): { name: string; taxon: Taxon | null } {
+  const name = species.trim().replace(/\s+/g, ' ');
+  const taxon = getTaxon(name);
+  return { name: taxon?.name ?? name, taxon };
+}
+
+/**
+ * Get the name of the species page a photo belongs to
+ */
+export function getPhotoSpeciesName(photo: Photo): string | null {
+  return photo.species ? getCanonicalName(photo.species).name || null : null;
+}
+
+/**
+ * Get the slug of the species page a photo belongs to
+ */
+export function getPhotoSpeciesSlug(photo: Photo): string | null {
+  const name = getPhotoSpeciesName(photo);
+  return name ? getSpeciesSlug(name) || null : null;
+}
+
+/**
+ * Group photos by species, sorted by name. Photos whose species matches a
+ * taxonomy entry are grouped under its common name; the rest by the slug of
+ * the name as written. Each group's photos are newest first and the newest
+ * one is used as the cover.
+ */
+export function groupPhotosBySpecies(photos: Photo[]): Species[] {
+  const groups = new Map<string, SpeciesGroup>();
+
+  for (const photo of photos) {
+    if (!photo.species) continue;
+    const { name, taxon } = getCanonicalName(photo.species);
+    const slug = getSpeciesSlug(name);
+    if (!slug) continue;
+
+    const group: SpeciesGroup = groups.get(slug) ?? { names: new Map(), photos: [], taxon };
+    group.names.set(name, (group.names.get(name) ?? 0) + 1);
+    group.photos.push(photo);
+    groups.set(slug, group);
+  }
+
+  return [...groups.entries()]
+    .map(([slug, group]) => {
+      const sorted = [...group.photos].sort(
+        (a, b) => b.date_taken.localeCompare(a.date_taken) || a.id.localeCompare(b.id)
+      );
+      return {
+        slug,
+        name: group.taxon?.name ?? pickDisplayName(group.names),
+        photos: sorted,
+        cover: sorted[0],
+        taxon: group.taxon,
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name, 'en', { sensitivity: 'base' }));
+}
+
+/**
+ * Get every species across all categories
+ */
+export function getAllSpecies(): Species[] {
+  return groupPhotosBySpecies(getPhotos());
+}
+
+/**
+ * Get a single species by slug
+ */
+export function getSpeciesBySlug(slug: string): Species | undefined {
+  return getAllSpecies().find((species) => species.slug === slug);
+}
+
+/**
+ * List the species in a set of photos as filter options, keyed by the
+ * species slug used in the gallery's `?species=` param
+ */
+export function getSpeciesFilters(photos: Photo[]): CategoryFilter[] {
+  return groupPhotosBySpecies(photos).map(({ slug, name }) => ({ id: slug, name }));
+}
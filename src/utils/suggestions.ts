@@ -0,0 +1,220 @@
+/**
+ * Typeahead suggestions for the header search, built from the search index's
+ * metadata shard.
+ *
+ * Used by the client-side script in SearchBar.
+ */
+
+import { getSpeciesSlug } from './slug';
+import type { SearchIndexEntry } from './search';
+
+// "search" is the closing option that runs a full search for the text
+export type SuggestionType = 'species' | 'location' | 'category' | 'photo' | 'search';
+
+export interface SearchSuggestion {
+  type: SuggestionType;
+  label: string;
+  // Secondary line, e.g. "12 photos" or the photo's species and location
+  detail: string;
+  href: string;
+  // Thumbnail (photos and species)
+  imageId?: string;
+  color?: string;
+}
+
+export interface SuggestionCategory {
+  id: string;
+  name: string;
+  href: string;
+}
+
+interface Candidate {
+  label: string;
+  // Normalized words of the label, then of any other names it matches
+  // (a species' scientific name and aliases)
+  names: string[][];
+  count: number;
+  suggestion: SearchSuggestion;
+}
+
+export interface SuggestionIndex {
+  species: Candidate[];
+  locations: Candidate[];
+  categories: Candidate[];
+  photos: Candidate[];
+}
+
+// Most suggestions shown per group
+const LIMITS: Record<keyof SuggestionIndex, number> = {
+  species: 3,
+  locations: 3,
+  categories: 2,
+  photos: 4,
+};
+
+function normalize(text: string): string {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function toWords(text: string): string[] {
+  return normalize(text).split(' ').filter(Boolean);
+}
+
+function plural(count: number, noun: string): string {
+  return `${count} ${noun}${count !== 1 ? 's' : ''}`;
+}
+
+function candidate(
+  label: string,
+  count: number,
+  suggestion: SearchSuggestion,
+  otherNames: string[] = []
+): Candidate {
+  return { label, names: [label, ...otherNames].map(toWords), count, suggestion };
+}
+
+/**
+ * Collect the species, locations, categories and photos that can be
+ * suggested. Built once, after the search index loads.
+ */
+export function createSuggestionIndex(
+  entries: SearchIndexEntry[],
+  categories: SuggestionCategory[]
+): SuggestionIndex {
+  const species = new Map<string, { name: string; count: number; cover: SearchIndexEntry }>();
+  const locations = new Map<string, { name: string; count: number }>();
+  const categoryCounts = new Map<string, number>();
+
+  for (const entry of entries) {
+    const slug = entry.species ? getSpeciesSlug(entry.species) : '';
+    if (slug) {
+      const group = species.get(slug);
+      if (group) {
+        group.count++;
+        if (entry.date_taken > group.cover.date_taken) group.cover = entry;
+      } else {
+        species.set(slug, { name: entry.species, count: 1, cover: entry });
+      }
+    }
+
+    for (const location of entry.locations) {
+      const group = locations.get(location.id);
+      if (group) {
+        group.count++;
+      } else {
+        locations.set(location.id, { name: location.name, count: 1 });
+      }
+    }
+
+    categoryCounts.set(entry.category, (categoryCounts.get(entry.category) ?? 0) + 1);
+  }
+
+  return {
+    // Photos of a species share its taxonomy, so the cover's will do
+    species: [...species].map(([slug, { name, count, cover }]) =>
+      candidate(
+        name,
+        count,
+        {
+          type: 'species',
+          label: name,
+          detail: [cover.scientific_name, plural(count, 'photo')].filter(Boolean).join(' · '),
+          href: `/species/${slug}/`,
+          imageId: cover.cloudinary_id,
+          color: cover.color,
+        },
+        cover.scientific_name ? [cover.scientific_name, ...(cover.aliases ?? [])] : []
+      )
+    ),
+    locations: [...locations].map(([id, { name, count }]) =>
+      candidate(name, count, {
+        type: 'location',
+        label: name,
+        detail: plural(count, 'photo'),
+        href: `/locations/${id}/`,
+      })
+    ),
+    categories: categories.map((category) => {
+      const count = categoryCounts.get(category.id) ?? 0;
+      return candidate(category.name, count, {
+        type: 'category',
+        label: category.name,
+        detail: plural(count, 'photo'),
+        href: category.href,
+      });
+    }),
+    // Newest first, so it wins among photos with the same title
+    photos: [...entries].sort((a, b) => b.date_taken.localeCompare(a.date_taken)).map((entry) =>
+      candidate(entry.title, 0, {
+        type: 'photo',
+        label: entry.title,
+        detail: [entry.species, entry.location].filter(Boolean).join(' · ') || entry.categoryName,
+        href: entry.href,
+        imageId: entry.cloudinary_id,
+        color: entry.color,
+      })
+    ),
+  };
+}
+
+// 2 when a name starts with the query, 1 when every query word starts a
+// word of a name, 0 for no match
+function matchScore(item: Candidate, query: string[]): number {
+  return Math.max(
+    ...item.names.map((words) => {
+      if (!query.every((word) => words.some((candidate) => candidate.startsWith(word)))) return 0;
+      return words.join(' ').startsWith(query.join(' ')) ? 2 : 1;
+    })
+  );
+}
+
+// Best matches first, one per label
+function topMatches(items: Candidate[], query: string[], limit: number): SearchSuggestion[] {
+  const seen = new Set<string>();
+  return items
+    .map((item) => ({ item, score: matchScore(item, query) }))
+    .filter(({ score }) => score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.item.count - a.item.count ||
+        a.item.label.localeCompare(b.item.label, 'en', { sensitivity: 'base' })
+    )
+    .filter(({ item }) => {
+      const key = item.names[0].join(' ');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit)
+    .map(({ item }) => item.suggestion);
+}
+
+/**
+ * Suggestions for what has been typed so far: species, then locations,
+ * categories and photo titles, and finally a full search for the text
+ */
+export function getSearchSuggestions(index: SuggestionIndex, text: string): SearchSuggestion[] {
+  const query = toWords(text);
+  if (query.length === 0) return [];
+
+  const matches = (Object.keys(LIMITS) as (keyof SuggestionIndex)[]).flatMap((group) =>
+    topMatches(index[group], query, LIMITS[group])
+  );
+
+  return [
+    ...matches,
+    {
+      type: 'search',
+      label: `Search for "${text.trim()}"`,
+      detail: 'All matching photos',
+      href: `/search/?q=${encodeURIComponent(text.trim())}`,
+    },
+  ];
+}
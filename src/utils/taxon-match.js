@@ -0,0 +1,66 @@
+/**
+ * Matching free-text species names against config/taxonomy.yaml.
+ *
+ * Plain JavaScript so the import scripts map species guesses the same way
+ * the build looks them up (via taxonomy.ts).
+ */
+
+// Words describing the individual rather than the species, e.g.
+// "Juvenile White Ibis"
+const IGNORED_WORDS = ['juvenile', 'immature', 'adult', 'male', 'female'];
+
+/**
+ * @typedef {import('../types').Taxon} Taxon
+ */
+
+/**
+ * Reduce a species name to a matching key: case, accents, punctuation,
+ * spacing and "grey"/"gray" are ignored, so "Greater Yellow Legs" and
+ * "greater yellowlegs" match
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeTaxonName(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !IGNORED_WORDS.includes(word))
+    .join('')
+    .replace(/grey/g, 'gray');
+}
+
+/**
+ * Build a lookup from the normalized names, scientific names and aliases of
+ * each entry. A name listed twice resolves to the first entry that uses it.
+ *
+ * @param {Taxon[]} taxa
+ * @returns {Map<string, Taxon>}
+ */
+export function createTaxonIndex(taxa) {
+  const index = new Map();
+  for (const taxon of taxa) {
+    for (const name of [taxon.name, taxon.scientific_name, ...taxon.aliases]) {
+      const key = normalizeTaxonName(name);
+      if (key && !index.has(key)) {
+        index.set(key, taxon);
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Find the taxonomy entry a species name refers to
+ *
+ * @param {string | null | undefined} text
+ * @param {Map<string, Taxon>} index
+ * @returns {Taxon | null}
+ */
+export function matchTaxon(text, index) {
+  if (!text) return null;
+  return index.get(normalizeTaxonName(text)) ?? null;
+}
@@ -0,0 +1,29 @@
+import { getTaxonomy } from './config';
+import { createTaxonIndex, matchTaxon } from './taxon-match.js';
+import type { Photo, Taxon } from '../types';
+
+let cached: { taxa: Taxon[]; index: Map<string, Taxon> } | null = null;
+
+// Rebuilt only when taxonomy.yaml is reloaded
+function getTaxonIndex(): Map<string, Taxon> {
+  const taxa = getTaxonomy();
+  if (cached?.taxa !== taxa) {
+    cached = { taxa, index: createTaxonIndex(taxa) };
+  }
+  return cached.index;
+}
+
+/**
+ * Find the taxonomy entry for a species name, matching its common name,
+ * scientific name or aliases
+ */
+export function getTaxon(species: string | null | undefined): Taxon | null {
+  return matchTaxon(species, getTaxonIndex());
+}
+
+/**
+ * Find the taxonomy entry for a photo's species
+ */
+export function getPhotoTaxon(photo: Photo): Taxon | null {
+  return getTaxon(photo.species);
+}